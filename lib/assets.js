@@ -1,19 +1,183 @@
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
-const fsNative = require('fs');
-const { sanitizeAssetPath, toPosix } = require('./utils');
+const { createDirectorySource } = require('./input');
+const { sanitizeAssetPath, sanitizeForPath, toPosix, formatBytes, isPathInside } = require('./utils');
+const { resolveHeadingHash } = require('./links');
+
+const DEDUPE_MODES = ['off', 'hash', 'name'];
+const DIAGRAM_SIGNATURES = {
+  drawio: /<mx(?:file|GraphModel)\b/,
+  gliffy: /"contentType"\s*:\s*"application\/gliffy/
+};
+const DIAGRAM_EXTENSIONS = {
+  drawio: '.drawio',
+  gliffy: '.gliffy'
+};
+
+const LINK_TARGET_CHARS = String.raw`(?:[^()\\]|\\.|\((?:[^()\\]|\\.)*\))`;
+const URL_TARGET_CHARS = String.raw`(?:[^()\s\\]|\\.|\((?:[^()\s\\]|\\.)*\))`;
+const NOTE_LINK_PATTERN = new RegExp(String.raw`\[([^\]]+)\]\(((?:[^()#\\]|\\.)+?\.md)(#${LINK_TARGET_CHARS}+)?\)`, 'g');
+const CONFLUENCE_LINK_PATTERN = new RegExp(String.raw`\[([^\]]+)\]\(((?:https?:\/\/|\/)${URL_TARGET_CHARS}*)\)`, 'g');
+const PAGE_ANCHOR_LINK_PATTERN = new RegExp(String.raw`\[([^\]]+)\]\((#${URL_TARGET_CHARS}+)\)`, 'g');
+
+function unescapeLinkTarget(value) {
+  return value.replace(/\\([()])/g, '$1');
+}
+
+function escapeLinkTarget(value) {
+  return value.replace(/[()]/g, '\\$&');
+}
+
+function escapeWikilinkText(value, inTable) {
+  const cleaned = value.replace(/\[\[|\]\]/g, '').replace(/[\[\]]/g, '').replace(/\\\|/g, '|');
+  return inTable ? cleaned.replace(/\|/g, '\\|') : cleaned.replace(/\|/g, '-');
+}
+
+function isTableLine(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  return source.slice(lineStart, offset).trim().startsWith('|');
+}
 
-function createAssetManager({ htmlDir }) {
+function hashFile(source, sourceRel) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    source.createReadStream(sourceRel)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function createAssetManager({
+  htmlDir,
+  source = createDirectorySource(htmlDir),
+  notesDir = null,
+  linkStyle = 'markdown',
+  people = null,
+  dedupeAssets = 'off',
+  pageIndex = null,
+  report = null,
+  logger = console
+}) {
   const missingAssets = new Set();
   const assetExtensionCache = new Map();
   const attachmentSourceCache = new Map();
+  const diagramSourceCache = new Map();
+  const noteNameCounts = new WeakMap();
+  const inFlightCopies = new Map();
+  const storedCopies = new Set();
+  const storedImages = new Set();
+  let assetNameCounts = null;
+  let assetIndex = null;
+
+  const useStore = dedupeAssets === 'hash' || dedupeAssets === 'name';
 
   const resetCaches = () => {
     missingAssets.clear();
     assetExtensionCache.clear();
     attachmentSourceCache.clear();
+    diagramSourceCache.clear();
+    storedCopies.clear();
+    storedImages.clear();
+    assetNameCounts = null;
+    assetIndex = null;
   };
 
+  function copyAsset(sourceRel, destPath) {
+    let pending = inFlightCopies.get(destPath);
+    if (!pending) {
+      pending = source.copyFile(sourceRel, destPath).finally(() => {
+        inFlightCopies.delete(destPath);
+      });
+      inFlightCopies.set(destPath, pending);
+    }
+    return pending;
+  }
+
+  function getNoteNameCounts(metadataByMd) {
+    let counts = noteNameCounts.get(metadataByMd);
+    if (!counts) {
+      counts = new Map();
+      for (const meta of new Set(metadataByMd.values())) {
+        const name = path.basename(meta.outputPath, '.md').toLowerCase();
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+      noteNameCounts.set(metadataByMd, counts);
+    }
+    return counts;
+  }
+
+  function getAssetNameCounts() {
+    if (assetNameCounts) {
+      return assetNameCounts;
+    }
+
+    assetNameCounts = new Map();
+    const visit = (dir) => {
+      for (const entry of source.listSync(dir)) {
+        if (entry.isDirectory()) {
+          visit(`${dir}/${entry.name}`);
+        } else {
+          const name = path.parse(entry.name).name.toLowerCase();
+          assetNameCounts.set(name, (assetNameCounts.get(name) || 0) + 1);
+        }
+      }
+    };
+
+    visit('attachments');
+    visit('images');
+    return assetNameCounts;
+  }
+
+  function toVaultPath(targetPath) {
+    return toPosix(path.relative(notesDir, targetPath));
+  }
+
+  function formatNoteWikilink(targetMeta, text, hash, metadataByMd, inTable) {
+    const baseName = path.basename(targetMeta.outputPath, '.md');
+    const counts = getNoteNameCounts(metadataByMd);
+    const linkTarget = counts.get(baseName.toLowerCase()) > 1
+      ? toVaultPath(targetMeta.outputPath).replace(/\.md$/, '')
+      : baseName;
+
+    let heading = '';
+    if (hash) {
+      try {
+        heading = decodeURIComponent(unescapeLinkTarget(hash));
+      } catch (error) {
+        heading = unescapeLinkTarget(hash);
+      }
+    }
+
+    const label = escapeWikilinkText(text, inTable);
+    const separator = inTable ? '\\|' : '|';
+    const alias = label && label !== baseName ? `${separator}${label}` : '';
+    return `[[${linkTarget}${heading}${alias}]]`;
+  }
+
+  function formatAssetWikilink(prefix, destPath, inTable) {
+    const isEmbed = prefix.startsWith('!');
+    const text = prefix.slice(isEmbed ? 2 : 1, -2);
+    const sizeMatch = isEmbed ? text.match(/\|(\d+(?:x\d+)?)$/) : null;
+    const label = sizeMatch ? text.slice(0, sizeMatch.index) : text;
+    const size = sizeMatch ? sizeMatch[1] : '';
+    const fileName = path.basename(destPath);
+    const stem = path.parse(fileName).name;
+    const counts = getAssetNameCounts();
+    const linkTarget = counts.get(stem.toLowerCase()) > 1
+      ? toVaultPath(destPath)
+      : fileName;
+
+    const cleanedLabel = escapeWikilinkText(label, inTable);
+    const separator = inTable ? '\\|' : '|';
+    const alias = cleanedLabel && cleanedLabel !== fileName && !(isEmbed && cleanedLabel === stem)
+      ? `${separator}${cleanedLabel}`
+      : '';
+    const sizeHint = size ? `${separator}${size}` : '';
+    return `${isEmbed ? '!' : ''}[[${linkTarget}${alias}${sizeHint}]]`;
+  }
+
   function detectExtensionFromSignature(buffer, bytesRead) {
     if (!bytesRead) {
       return null;
@@ -113,67 +277,251 @@ function createAssetManager({ htmlDir }) {
     return null;
   }
 
-  function detectExtensionSync(sourcePath) {
-    try {
-      const fd = fsNative.openSync(sourcePath, 'r');
-      try {
-        const buffer = Buffer.alloc(512);
-        const bytesRead = fsNative.readSync(fd, buffer, 0, buffer.length, 0);
-        return detectExtensionFromSignature(buffer, bytesRead);
-      } finally {
-        fsNative.closeSync(fd);
-      }
-    } catch (error) {
-      return null;
-    }
+  function detectExtensionSync(sourceRel) {
+    const header = source.readHeaderSync(sourceRel);
+    return header ? detectExtensionFromSignature(header, header.length) : null;
   }
 
   async function resolveAttachmentSource(sourceRel) {
-    const initialPath = path.join(htmlDir, sourceRel);
-    if (await fs.pathExists(initialPath)) {
-      return initialPath;
+    if (await source.exists(sourceRel)) {
+      return sourceRel;
     }
 
     const parsed = path.posix.parse(sourceRel);
-    const dirPosix = parsed.dir || '';
-    const baseDir = path.join(htmlDir, dirPosix);
+    const dirPrefix = parsed.dir ? `${parsed.dir}/` : '';
     const expectedName = parsed.name;
 
     if (!expectedName) {
       return null;
     }
 
-    const extensionlessCandidate = path.join(baseDir, expectedName);
-    if (await fs.pathExists(extensionlessCandidate)) {
+    const extensionlessCandidate = `${dirPrefix}${expectedName}`;
+    if (await source.exists(extensionlessCandidate)) {
       return extensionlessCandidate;
     }
 
-    try {
-      const entries = await fs.readdir(baseDir);
+    for (const entry of await source.list(parsed.dir)) {
+      if (entry.name === parsed.base || !entry.isFile()) {
+        continue;
+      }
+
+      if (path.parse(entry.name).name === expectedName) {
+        return `${dirPrefix}${entry.name}`;
+      }
+    }
+
+    return null;
+  }
+
+  async function findDiagramSource(folder, type) {
+    const cacheKey = `${type}:${folder}`;
+    if (diagramSourceCache.has(cacheKey)) {
+      return diagramSourceCache.get(cacheKey);
+    }
+
+    const matches = (await source.list(folder))
+      .filter(entry => entry.isFile())
+      .map(entry => `${folder}${entry.name}`)
+      .filter(sourceRel => {
+        const header = source.readHeaderSync(sourceRel);
+        return Boolean(header) && DIAGRAM_SIGNATURES[type].test(header.toString('utf8'));
+      });
+    const sourceRel = matches.length === 1 ? matches[0] : null;
+    diagramSourceCache.set(cacheKey, sourceRel);
+    return sourceRel;
+  }
+
+  async function listPageAttachments(pageId) {
+    const pageDir = `attachments/${pageId}`;
+    const entries = await source.list(pageDir);
+
+    const attachments = [];
+    for (const entry of entries.filter(item => item.isFile()).sort((a, b) => a.name.localeCompare(b.name))) {
+      const sourceRel = `${pageDir}/${entry.name}`;
+      const { size } = await source.stat(sourceRel);
+      attachments.push({
+        sourceRel,
+        fileName: entry.name,
+        size,
+        extension: path.extname(entry.name).toLowerCase() || detectExtensionSync(sourceRel) || ''
+      });
+    }
+    return attachments;
+  }
+
+  async function buildAttachmentsSection(pageId, names = {}) {
+    const attachments = pageId ? await listPageAttachments(pageId) : [];
+    if (!attachments.length) {
+      return '';
+    }
+
+    const escapeCell = value => value.replace(/[[\]]/g, '').replace(/\|/g, '\\|');
+    const lines = ['## Attachments', '', '| File | Size | Type |', '| --- | --- | --- |'];
+    for (const attachment of attachments) {
+      const parsed = path.parse(attachment.fileName);
+      const name = names[attachment.sourceRel] ||
+        (parsed.ext ? attachment.fileName : `${attachment.fileName}${attachment.extension}`);
+      const type = attachment.extension ? attachment.extension.slice(1).toUpperCase() : 'Unknown';
+      lines.push(`| [${escapeCell(name)}](${encodeURI(attachment.sourceRel)}) | ${formatBytes(attachment.size)} | ${type} |`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async function buildAssetIndex(mediaRoot) {
+    const files = [];
+    const visit = async (dir) => {
+      const entries = await source.list(dir);
+      entries.sort((a, b) => a.name.localeCompare(b.name));
       for (const entry of entries) {
-        if (entry === parsed.base) {
-          continue;
+        const entryRel = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+          await visit(entryRel);
+        } else if (entry.isFile()) {
+          files.push(entryRel);
         }
+      }
+    };
+    await visit('attachments');
+
+    const byRel = new Map();
+    const byStem = new Map();
+    const byHash = new Map();
+
+    for (const sourceRel of files) {
+      try {
+        const { size } = await source.stat(sourceRel);
+        const hash = await hashFile(source, sourceRel);
+        const entry = { sourceRel, size, hash };
+        const parsed = path.posix.parse(sourceRel);
+        byRel.set(sourceRel, entry);
+        if (!byStem.has(`${parsed.dir}/${parsed.name}`)) {
+          byStem.set(`${parsed.dir}/${parsed.name}`, entry);
+        }
+        if (!byHash.has(hash)) {
+          byHash.set(hash, entry);
+        }
+      } catch (error) {
+        logger.warn(`⚠️  Unable to hash ${source.describe(sourceRel)}: ${error.message}`);
+      }
+    }
+
+    const usedNames = new Set();
+    const storeDir = path.join(mediaRoot, 'attachments');
+    for (const [hash, entry] of byHash.entries()) {
+      const parsed = path.posix.parse(entry.sourceRel);
+      const ext = parsed.ext || detectExtensionSync(entry.sourceRel) || '';
+      if (dedupeAssets === 'hash') {
+        entry.destPath = path.join(storeDir, `${hash.slice(0, 16)}${ext}`);
+        continue;
+      }
+      let name = `${parsed.name}${ext}`;
+      for (let counter = 2; usedNames.has(name.toLowerCase()); counter += 1) {
+        name = `${parsed.name}-${counter}${ext}`;
+      }
+      usedNames.add(name.toLowerCase());
+      entry.destPath = path.join(storeDir, name);
+    }
+
+    return {
+      lookup(sourceRel) {
+        const parsed = path.posix.parse(sourceRel);
+        const entry = byRel.get(sourceRel) || byStem.get(`${parsed.dir}/${parsed.name}`);
+        return entry ? byHash.get(entry.hash) : null;
+      },
+      files: files.length,
+      unique: byHash.size
+    };
+  }
+
+  async function getStats(mediaRoot, pageAssets = []) {
+    const stats = {
+      mode: dedupeAssets,
+      storedFiles: 0,
+      storedBytes: 0,
+      referencedBytes: 0,
+      savedBytes: 0,
+      skippedImages: 0,
+      skippedImageBytes: 0
+    };
+    if (!useStore) {
+      return stats;
+    }
 
-        const entryParsed = path.parse(entry);
-        if (entryParsed.name === expectedName) {
-          const candidate = path.join(baseDir, entry);
-          if (await fs.pathExists(candidate)) {
-            return candidate;
+    const storeDir = path.join(mediaRoot, 'attachments');
+    const sizes = new Map();
+    for (const assets of pageAssets) {
+      for (const asset of assets) {
+        if (!isPathInside(storeDir, asset)) {
+          continue;
+        }
+        if (!sizes.has(asset)) {
+          try {
+            sizes.set(asset, (await fs.stat(asset)).size);
+          } catch (error) {
+            sizes.set(asset, null);
+          }
+          if (sizes.get(asset) !== null) {
+            stats.storedFiles += 1;
+            stats.storedBytes += sizes.get(asset);
           }
         }
+        stats.referencedBytes += sizes.get(asset) || 0;
       }
-    } catch (dirError) {
-      return null;
     }
+    stats.savedBytes = Math.max(0, stats.referencedBytes - stats.storedBytes);
+
+    const visit = async (dir) => {
+      for (const entry of await source.list(dir)) {
+        const entryRel = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+          await visit(entryRel);
+        } else if (!(await fs.pathExists(path.join(mediaRoot, entryRel)))) {
+          stats.skippedImages += 1;
+          stats.skippedImageBytes += (await source.stat(entryRel)).size;
+        }
+      }
+    };
+    await visit('images');
 
-    return null;
+    return stats;
+  }
+
+  async function copyImages(mediaRoot) {
+    if (!(await source.exists('images'))) {
+      return false;
+    }
+
+    const visit = async (dir) => {
+      for (const entry of await source.list(dir)) {
+        const entryRel = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) {
+          await visit(entryRel);
+        } else if (isPathInside(mediaRoot, path.join(mediaRoot, entryRel))) {
+          await source.copyFile(entryRel, path.join(mediaRoot, entryRel));
+        } else {
+          logger.warn(`⚠️  Skipping ${source.describe(entryRel)}: it would be written outside ${mediaRoot}`);
+        }
+      }
+    };
+    await visit('images');
+    return true;
   }
 
   async function adjustMarkdownPaths(markdown, currentMeta, metadataByMd, mediaRoot) {
     const currentDir = currentMeta.targetDir;
-    const assetRegex = /(!?\[[^\]]*\]\()((?:\.\.\/)*)(attachments|images)\/([^\)]+)\)/g;
+    const pageKey = currentMeta.pageKey || currentMeta.sourceFile;
+    const assetRegex = /(!?\[[^\]]*\]\()((?:\.\.\/)*)(attachments|images)\/([^\)]+?)(\s+"(?:[^"\\]|\\.)*")?\)/g;
     const attachmentCopies = new Map();
+    const storeCopies = new Map();
+    const copiedAssets = [];
+    const linkedFiles = new Set();
+    const fallbackUrls = new Set();
+
+    if (useStore && !assetIndex) {
+      assetIndex = buildAssetIndex(mediaRoot);
+    }
+    const index = useStore ? await assetIndex : null;
 
     const ensureRelative = (targetPath) => {
       let relativePath = toPosix(path.relative(currentDir, targetPath));
@@ -183,41 +531,55 @@ function createAssetManager({ htmlDir }) {
       return relativePath;
     };
 
-    let output = markdown.replace(assetRegex, (match, prefix, _up, folder, rest) => {
+    const useWikilinks = linkStyle === 'wikilink' && Boolean(notesDir);
+
+    const resolveAssetTarget = (folder, rest) => {
       const normalizedRest = sanitizeAssetPath(rest);
 
       if (!normalizedRest) {
-        return match;
+        return null;
       }
 
       const safeRest = path.posix.normalize(normalizedRest);
       if (safeRest === '..' || safeRest.startsWith('../')) {
-        return match;
+        return null;
       }
 
       if (folder === 'images') {
         const sharedPath = path.join(mediaRoot, 'images', safeRest);
-        if (!fs.existsSync(sharedPath)) {
+        const imageSource = `images/${safeRest}`;
+        if (useStore && source.existsSync(imageSource)) {
+          storeCopies.set(sharedPath, { sourceRel: imageSource, size: null });
+          return sharedPath;
+        }
+        if (useStore || !fs.existsSync(sharedPath)) {
           const missingKey = `${currentMeta.mdFile}:${folder}/${safeRest}`;
           if (!missingAssets.has(missingKey)) {
             missingAssets.add(missingKey);
-            console.warn(`⚠️  Missing asset for ${currentMeta.mdFile}: ${folder}/${safeRest}`);
+            logger.warn(`⚠️  Missing asset for ${currentMeta.mdFile}: ${folder}/${safeRest}`);
+            if (report) {
+              report.recordMissingAsset(pageKey, `${folder}/${safeRest}`, 'image');
+            }
           }
         }
-        const relativePath = ensureRelative(path.join(mediaRoot, 'images', safeRest));
-        return `${prefix}${relativePath})`;
+        return sharedPath;
       }
 
       if (folder === 'attachments') {
         const sourceRel = `${folder}/${safeRest}`;
+        const stored = index ? index.lookup(sourceRel) : null;
+        if (stored) {
+          storeCopies.set(stored.destPath, stored);
+          return stored.destPath;
+        }
+
         let finalRest = safeRest;
 
         const parsed = path.posix.parse(safeRest);
         if (!parsed.ext) {
           let detectedExt = assetExtensionCache.get(sourceRel);
           if (detectedExt === undefined) {
-            const sourcePath = path.join(htmlDir, sourceRel);
-            detectedExt = detectExtensionSync(sourcePath) || '';
+            detectedExt = detectExtensionSync(sourceRel) || '';
             assetExtensionCache.set(sourceRel, detectedExt);
           }
 
@@ -230,18 +592,90 @@ function createAssetManager({ htmlDir }) {
 
         const destPath = path.join(currentDir, '_media', folder, finalRest);
         attachmentCopies.set(destPath, sourceRel);
-        const relativePath = ensureRelative(destPath);
-        return `${prefix}${relativePath})`;
+        return destPath;
+      }
+
+      return null;
+    };
+
+    let output = markdown.replace(assetRegex, (match, prefix, _up, folder, rest, title = '', offset, source) => {
+      const targetPath = resolveAssetTarget(folder, rest);
+      if (!targetPath) {
+        return match;
+      }
+      if (useWikilinks) {
+        return formatAssetWikilink(prefix, targetPath, isTableLine(source, offset));
+      }
+      return `${prefix}${ensureRelative(targetPath)}${title})`;
+    });
+
+    const diagramPattern = /\[[^\]]*\]\(confluence-diagram:([a-z]+):([^:\)]*):([^\)]*)\)/g;
+    const diagramSources = new Map();
+    for (const [, type, encodedSource] of output.matchAll(diagramPattern)) {
+      const sourceRel = decodeURIComponent(encodedSource);
+      if (sourceRel.endsWith('/') && DIAGRAM_SIGNATURES[type] && !diagramSources.has(sourceRel)) {
+        diagramSources.set(sourceRel, await findDiagramSource(sourceRel, type));
+      }
+    }
+    output = output.replace(diagramPattern, (match, type, encodedSource, encodedName, offset, source) => {
+      const folder = decodeURIComponent(encodedSource);
+      const name = decodeURIComponent(encodedName);
+      const sourceRel = folder.endsWith('/') ? diagramSources.get(folder) : folder;
+      if (!sourceRel) {
+        const missingKey = `${currentMeta.mdFile}:diagram:${name}`;
+        if (!missingAssets.has(missingKey)) {
+          missingAssets.add(missingKey);
+          logger.warn(`⚠️  Missing diagram source for ${currentMeta.mdFile}: ${name}`);
+          if (report) {
+            report.recordMissingAsset(pageKey, `${folder}${name}`, 'diagram');
+          }
+        }
+        return `${name} (diagram source missing)`;
+      }
+
+      const extension = DIAGRAM_EXTENSIONS[type] || DIAGRAM_EXTENSIONS.drawio;
+      const baseName = name.replace(/\.(?:drawio(?:\.xml)?|gliffy|xml)$/i, '');
+      const fileName = `${sanitizeForPath(baseName)}${extension}`;
+      const destPath = path.join(currentDir, '_media', path.posix.dirname(sourceRel), fileName);
+      if (!isPathInside(path.join(currentDir, '_media'), destPath)) {
+        return match;
+      }
+      attachmentCopies.set(destPath, sourceRel);
+      if (useWikilinks) {
+        return formatAssetWikilink(`[${fileName}](`, destPath, isTableLine(source, offset));
       }
+      return `[${fileName}](${ensureRelative(destPath)})`;
+    });
 
-      return match;
+    const htmlAssetRegex = /\b(src|href)="(?:\.\.\/)*(attachments|images)\/([^"]+)"/g;
+    output = output.replace(htmlAssetRegex, (match, attribute, folder, rest) => {
+      const targetPath = resolveAssetTarget(folder, rest.replace(/&amp;/g, '&'));
+      return targetPath ? `${attribute}="${ensureRelative(targetPath)}"` : match;
     });
 
+    for (const [destPath, stored] of storeCopies.entries()) {
+      try {
+        if (stored.size === null) {
+          if (!storedImages.has(destPath)) {
+            storedImages.add(destPath);
+            await copyAsset(stored.sourceRel, destPath);
+          }
+        } else {
+          if (!storedCopies.has(destPath)) {
+            storedCopies.add(destPath);
+            await copyAsset(stored.sourceRel, destPath);
+          }
+        }
+        copiedAssets.push(destPath);
+      } catch (err) {
+        logger.warn(`⚠️  Unable to copy ${stored.sourceRel} for ${currentMeta.mdFile}: ${err.message}`);
+      }
+    }
+
     for (const [destPath, sourceRel] of attachmentCopies.entries()) {
-      const sourcePath = path.join(htmlDir, sourceRel);
       try {
-        await fs.ensureDir(path.dirname(destPath));
-        await fs.copy(sourcePath, destPath);
+        await copyAsset(sourceRel, destPath);
+        copiedAssets.push(destPath);
       } catch (err) {
         const missingKey = `${currentMeta.mdFile}:${sourceRel}`;
         if (err.code === 'ENOENT') {
@@ -251,53 +685,153 @@ function createAssetManager({ htmlDir }) {
             attachmentSourceCache.set(sourceRel, resolvedSource);
           }
 
-          if (resolvedSource && resolvedSource !== sourcePath) {
+          if (resolvedSource && resolvedSource !== sourceRel) {
             try {
-              await fs.ensureDir(path.dirname(destPath));
-              await fs.copy(resolvedSource, destPath);
+              await copyAsset(resolvedSource, destPath);
+              copiedAssets.push(destPath);
               continue;
             } catch (fallbackErr) {
-              console.warn(`⚠️  Unable to copy fallback asset for ${currentMeta.mdFile}: ${sourceRel} (${fallbackErr.message})`);
+              logger.warn(`⚠️  Unable to copy fallback asset for ${currentMeta.mdFile}: ${sourceRel} (${fallbackErr.message})`);
             }
           }
         }
 
         if (!missingAssets.has(missingKey)) {
           missingAssets.add(missingKey);
-          console.warn(`⚠️  Missing asset for ${currentMeta.mdFile}: ${sourceRel} (${err.message})`);
+          logger.warn(`⚠️  Missing asset for ${currentMeta.mdFile}: ${sourceRel} (${err.message})`);
+          if (report) {
+            report.recordMissingAsset(pageKey, sourceRel, 'attachment', err.message);
+          }
         }
       }
     }
 
-    const linkPattern = /\[([^\]]+)\]\(([^\)]+\.md)(#[^\)]+)?\)/g;
-    output = output.replace(linkPattern, (match, text, linkTarget, hash = '') => {
+    const resolveNoteTarget = (linkTarget) => {
       const trimmed = linkTarget.trim();
-      if (/^(https?:|mailto:)/i.test(trimmed)) {
-        return match;
-      }
-      if (trimmed.startsWith('#')) {
-        return match;
+      if (/^(https?:|mailto:)/i.test(trimmed) || trimmed.startsWith('#')) {
+        return {};
       }
       const normalizedLink = trimmed.replace(/^\.\/?/, '').replace(/^\//, '');
       const targetName = path.basename(normalizedLink);
+      linkedFiles.add(targetName);
       const targetMeta = metadataByMd.get(targetName);
-      if (!targetMeta) {
-        return match;
+      if (targetMeta) {
+        return { meta: targetMeta };
+      }
+      const resolved = pageIndex ? pageIndex.resolveNoteFile(targetName) : null;
+      if (report && !(resolved && resolved.meta)) {
+        report.recordUnresolvedLink(pageKey, resolved ? resolved.url : normalizedLink, resolved ? 'confluence' : 'note');
+      }
+      return resolved || {};
+    };
+
+    const formatNoteLink = (targetMeta, text, hash, source, offset) => {
+      const fragment = resolveHeadingHash(targetMeta.headingIndex, unescapeLinkTarget(hash));
+      if (useWikilinks) {
+        return formatNoteWikilink(targetMeta, text, fragment, metadataByMd, isTableLine(source, offset));
       }
-      const targetPath = targetMeta.outputPath;
-      const relativePath = ensureRelative(targetPath);
-      return `[${text}](${relativePath}${hash || ''})`;
+      return `[${text}](${ensureRelative(targetMeta.outputPath)}${escapeLinkTarget(fragment)})`;
+    };
+
+    const formatNoteHref = (targetMeta, hash) => {
+      const fragment = resolveHeadingHash(targetMeta.headingIndex, hash.replace(/&amp;/g, '&'));
+      return `href="${ensureRelative(targetMeta.outputPath)}${fragment.replace(/&/g, '&amp;')}"`;
+    };
+
+    if (people) {
+      const mentionPattern = /\[([^\]]*)\]\(confluence-user:([^\)]*)\)/g;
+      output = output.replace(mentionPattern, (match, text, id, offset, source) => {
+        let userId = id;
+        try {
+          userId = decodeURIComponent(id);
+        } catch (error) {
+          userId = id;
+        }
+        return people.formatMention(userId, text, {
+          fromDir: currentDir,
+          inTable: isTableLine(source, offset)
+        });
+      });
+    }
+
+    output = output.replace(NOTE_LINK_PATTERN, (match, text, linkTarget, hash = '', offset, source) => {
+      const { meta: targetMeta, url } = resolveNoteTarget(unescapeLinkTarget(linkTarget));
+      if (url) {
+        fallbackUrls.add(`${url}${hash || ''}`);
+        return `[${text}](${url}${hash || ''})`;
+      }
+      return targetMeta ? formatNoteLink(targetMeta, text, hash || '', source, offset) : match;
+    });
+
+    const htmlLinkRegex = /\bhref="([^"#:]+\.md)(#[^"]*)?"/g;
+    output = output.replace(htmlLinkRegex, (match, linkTarget, hash = '') => {
+      const { meta: targetMeta, url } = resolveNoteTarget(linkTarget);
+      if (url) {
+        fallbackUrls.add(`${url}${hash || ''}`);
+        return `href="${url}${hash || ''}"`;
+      }
+      return targetMeta ? formatNoteHref(targetMeta, hash || '') : match;
     });
 
+    if (pageIndex) {
+      const resolveConfluenceLink = (href) => {
+        if (fallbackUrls.has(href)) {
+          return null;
+        }
+        const resolved = pageIndex.resolveConfluenceUrl(unescapeLinkTarget(href.replace(/&amp;/g, '&')));
+        if (resolved && resolved.meta) {
+          linkedFiles.add(resolved.meta.originalMdFile);
+        } else if (resolved && report) {
+          report.recordUnresolvedLink(pageKey, unescapeLinkTarget(href), 'confluence');
+        }
+        return resolved;
+      };
+
+      output = output.replace(CONFLUENCE_LINK_PATTERN, (match, text, href, offset, source) => {
+        const resolved = resolveConfluenceLink(href);
+        if (!resolved) {
+          return match;
+        }
+        return resolved.meta
+          ? formatNoteLink(resolved.meta, text, resolved.hash, source, offset)
+          : `[${text}](${escapeLinkTarget(resolved.url)})`;
+      });
+
+      const confluenceHtmlLinkPattern = /\bhref="((?:https?:\/\/|\/)[^"]*)"/g;
+      output = output.replace(confluenceHtmlLinkPattern, (match, href) => {
+        const resolved = resolveConfluenceLink(href);
+        if (!resolved) {
+          return match;
+        }
+        return resolved.meta ? formatNoteHref(resolved.meta, resolved.hash) : `href="${resolved.url.replace(/&/g, '&amp;')}"`;
+      });
+    }
+
+    if (currentMeta.headingIndex) {
+      output = output.replace(PAGE_ANCHOR_LINK_PATTERN, (match, text, hash) => (
+        `[${text}](${escapeLinkTarget(resolveHeadingHash(currentMeta.headingIndex, unescapeLinkTarget(hash)))})`
+      ));
+      output = output.replace(/\bhref="(#[^"]+)"/g, (match, hash) => (
+        `href="${resolveHeadingHash(currentMeta.headingIndex, hash.replace(/&amp;/g, '&')).replace(/&/g, '&amp;')}"`
+      ));
+    }
+
+    currentMeta.copiedAssets = copiedAssets;
+    currentMeta.linkedFiles = [...linkedFiles];
+
     return output;
   }
 
   return {
     adjustMarkdownPaths,
+    buildAttachmentsSection,
+    copyImages,
+    getStats,
     resetCaches
   };
 }
 
 module.exports = {
+  DEDUPE_MODES,
   createAssetManager
 };
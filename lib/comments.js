@@ -0,0 +1,64 @@
+const COMMENT_MODES = ['drop', 'section', 'sidecar'];
+
+function formatTimestamp(rawValue) {
+  if (!rawValue) {
+    return null;
+  }
+  const date = new Date(`${rawValue} UTC`);
+  if (Number.isNaN(date.getTime())) {
+    return rawValue;
+  }
+  const iso = date.toISOString();
+  return /\d:\d/.test(rawValue) ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+function countComments(comments) {
+  return (comments || []).reduce((total, comment) => total + 1 + countComments(comment.replies), 0);
+}
+
+function formatComment(comment) {
+  const heading = [`**${comment.author || 'Unknown'}**`, formatTimestamp(comment.postedOn)]
+    .filter(Boolean)
+    .join(' · ');
+  const lines = [heading];
+
+  if (comment.markdown) {
+    lines.push('', ...comment.markdown.split('\n'));
+  }
+
+  for (const reply of comment.replies || []) {
+    lines.push('', ...formatComment(reply));
+  }
+
+  return lines.map(line => (line ? `> ${line}` : '>'));
+}
+
+function formatCommentThreads(comments) {
+  return comments.map(comment => formatComment(comment).join('\n')).join('\n\n');
+}
+
+function appendCommentsSection(markdown, comments) {
+  if (!comments || !comments.length) {
+    return markdown;
+  }
+  return `${markdown.replace(/\s+$/, '')}\n\n## Comments\n\n${formatCommentThreads(comments)}\n`;
+}
+
+function buildCommentsSidecar(comments, { title, noteLink }) {
+  return [
+    `# Comments: ${title}`,
+    '',
+    `Discussion on ${noteLink}.`,
+    '',
+    formatCommentThreads(comments),
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  COMMENT_MODES,
+  countComments,
+  formatCommentThreads,
+  appendCommentsSection,
+  buildCommentsSidecar
+};
@@ -1,21 +1,54 @@
 const path = require('path');
 const fs = require('fs-extra');
-const { createTurndownService } = require('./turndown');
+const yaml = require('js-yaml');
 const {
-  cleanupHtml,
+  parseHtml,
   extractBreadcrumbs,
+  extractBreadcrumbLinks,
   extractTitle,
-  extractPageMetadata
+  extractPageMetadata,
+  extractLabels,
+  extractJiraKeys,
+  extractAttachmentNames,
+  extractHeadingAnchors
 } = require('./html');
-const { cleanupMarkdown } = require('./markdown');
+const { createPageRenderer } = require('./render');
+const { createWorkerPool, runWithConcurrency } = require('./pool');
 const {
   sanitizeForPath,
+  normalizeTag,
   ensureUniqueSlug,
   deriveIdentifierSlug,
   toPosix,
-  stripTitlePrefix
+  stripTitlePrefix,
+  normalizeLogger,
+  formatBytes
 } = require('./utils');
 const { createAssetManager } = require('./assets');
+const { openInputSource } = require('./input');
+const { createPageIndex, buildHeadingIndex } = require('./links');
+const {
+  parsePageTree,
+  getPageOrder,
+  applyFolderNotes,
+  buildSpaceHomeMarkdown,
+  buildFolderIndexes,
+  extractSpaceKey
+} = require('./hierarchy');
+const { createReport } = require('./report');
+const { loadPeopleFile, createPeopleDirectory } = require('./people');
+const {
+  countComments,
+  appendCommentsSection,
+  buildCommentsSidecar
+} = require('./comments');
+const {
+  hashContent,
+  createEmptyManifest,
+  loadManifest,
+  saveManifest,
+  removeOutputs
+} = require('./manifest');
 
 function normalizeDate(rawValue) {
   if (!rawValue) {
@@ -47,42 +80,107 @@ function normalizeDate(rawValue) {
   };
 }
 
-function escapeYamlValue(value) {
-  return value
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"')
-    .replace(/\r?\n/g, ' ')
-    .trim();
+const FRONT_MATTER_FIELDS = [
+  'title',
+  'aliases',
+  'page_id',
+  'source',
+  'breadcrumbs',
+  'created_by',
+  'created_on',
+  'last_updated_by',
+  'last_updated_on',
+  'labels',
+  'tags',
+  'jira',
+  'comments'
+];
+
+function formatDate(rawValue) {
+  const normalized = normalizeDate(rawValue);
+  return normalized ? normalized.iso || normalized.raw : null;
 }
 
-function buildFrontMatter(pageMetadata) {
-  if (!pageMetadata) {
+function buildFrontMatter(meta, options = {}) {
+  const {
+    fields = FRONT_MATTER_FIELDS,
+    tagPrefix = null,
+    people = null
+  } = options;
+
+  if (!meta) {
     return '';
   }
 
-  const lines = [];
-
-  if (pageMetadata.createdBy) {
-    lines.push(`created_by: "${escapeYamlValue(pageMetadata.createdBy)}"`);
-  }
+  const tags = [...new Set((meta.labels || []).map(label => normalizeTag(label, tagPrefix)).filter(Boolean))];
 
-  if (pageMetadata.lastUpdatedBy) {
-    lines.push(`last_updated_by: "${escapeYamlValue(pageMetadata.lastUpdatedBy)}"`);
-  }
+  const pageMetadata = meta.pageMetadata || {};
+  const formatAuthor = (name) => {
+    if (!name) {
+      return null;
+    }
+    return people ? people.formatAuthor(name) : name;
+  };
+  const pageId = deriveIdentifierSlug(meta.sourceFile);
+  const values = {
+    title: meta.title || null,
+    aliases: meta.originalTitle && meta.originalTitle !== meta.title ? [meta.originalTitle] : null,
+    page_id: pageId && /^\d+$/.test(pageId) ? pageId : null,
+    source: meta.sourceFile || null,
+    breadcrumbs: meta.breadcrumbs && meta.breadcrumbs.length ? meta.breadcrumbs : null,
+    created_by: formatAuthor(pageMetadata.createdBy),
+    created_on: formatDate(pageMetadata.createdOnRaw),
+    last_updated_by: formatAuthor(pageMetadata.lastUpdatedBy),
+    last_updated_on: formatDate(pageMetadata.lastUpdatedOnRaw),
+    labels: meta.labels && meta.labels.length ? meta.labels : null,
+    tags: tags.length ? tags : null,
+    jira: meta.jiraKeys && meta.jiraKeys.length ? meta.jiraKeys : null,
+    comments: meta.commentsLink || null
+  };
 
-  if (pageMetadata.lastUpdatedOnRaw) {
-    const normalized = normalizeDate(pageMetadata.lastUpdatedOnRaw);
-    const dateValue = normalized && (normalized.iso || normalized.raw);
-    if (dateValue) {
-      lines.push(`last_updated_on: "${escapeYamlValue(dateValue)}"`);
+  const data = {};
+  for (const field of fields) {
+    if (values[field] !== null && values[field] !== undefined) {
+      data[field] = values[field];
     }
   }
 
-  if (!lines.length) {
+  if (!Object.keys(data).length) {
     return '';
   }
 
-  return `---\n${lines.join('\n')}\n---\n\n`;
+  return `---\n${yaml.dump(data, { lineWidth: -1 })}---\n\n`;
+}
+
+function normalizeSpaceConfigs(entries, defaultTitlePrefix = null) {
+  const seenKeys = new Set();
+  return entries.map((entry, index) => {
+    const key = entry && typeof entry.key === 'string' ? entry.key.trim() : '';
+    const input = entry && [entry.input, entry.htmlDir].find(value => typeof value === 'string' && value.trim());
+    if (!key || !input) {
+      throw new Error(`spaces[${index}] needs a key and an htmlDir (or input)`);
+    }
+    if (seenKeys.has(key.toLowerCase())) {
+      throw new Error(`Duplicate space key "${key}" in spaces`);
+    }
+    seenKeys.add(key.toLowerCase());
+    return {
+      key,
+      input: input.trim(),
+      titlePrefix: typeof entry.titlePrefix === 'string' && entry.titlePrefix.length
+        ? entry.titlePrefix
+        : defaultTitlePrefix
+    };
+  });
+}
+
+function mergeAssetStats(statsList) {
+  return statsList.reduce((total, stats) => {
+    for (const [name, value] of Object.entries(stats)) {
+      total[name] = typeof value === 'number' ? (total[name] || 0) + value : value;
+    }
+    return total;
+  }, {});
 }
 
 async function convertHtmlToMarkdown(options = {}, config = {}) {
@@ -92,48 +190,198 @@ async function convertHtmlToMarkdown(options = {}, config = {}) {
     includeNavigation = true,
     onlyFiles = null,
     titlePrefixToRemove = null,
-    convertExpanders = false
+    convertExpanders = false,
+    calloutStyle = 'obsidian',
+    statusStyle = 'code',
+    linkStyle = 'markdown',
+    anchorStyle = 'obsidian',
+    incremental = false,
+    concurrency = 1,
+    frontMatterFields = FRONT_MATTER_FIELDS,
+    tagPrefix = null,
+    folderNotes = 'none',
+    spaceHome = false,
+    tableStrategy = 'html',
+    comments = 'drop',
+    jiraBaseUrl = null,
+    confluenceBaseUrl = null,
+    mentionStyle = 'text',
+    peopleFile = null,
+    peopleFolder = 'People',
+    personNotes = false,
+    dedupeAssets = 'off',
+    attachmentsSection = false,
+    logger: customLogger = console,
+    events = null
   } = options;
 
   const {
+    input,
     htmlDir,
-    mdDir
+    mdDir,
+    spaceKey = null,
+    spaces: spaceConfigs = null
   } = config;
+  const inputPath = input || htmlDir;
+  const multiSpace = Array.isArray(spaceConfigs) && spaceConfigs.length > 0;
 
-  if (!htmlDir || !mdDir) {
-    throw new Error('htmlDir and mdDir must be provided to convertHtmlToMarkdown');
+  if ((!inputPath && !multiSpace) || !mdDir) {
+    throw new Error('input (or htmlDir or spaces) and mdDir must be provided to convertHtmlToMarkdown');
   }
 
+  const spaceEntries = multiSpace
+    ? normalizeSpaceConfigs(spaceConfigs, titlePrefixToRemove)
+    : [{ key: spaceKey, input: inputPath, titlePrefix: titlePrefixToRemove }];
+
+  const logger = normalizeLogger(customLogger);
+  const emit = (eventName, payload) => {
+    if (events && typeof events.emit === 'function') {
+      events.emit(eventName, payload);
+    }
+  };
+
   const notesDir = path.join(mdDir, 'notes');
-  const turndownService = createTurndownService();
-  const assetManager = createAssetManager({ htmlDir });
+  const spaces = [];
+  try {
+    for (const entry of spaceEntries) {
+      const source = await openInputSource(entry.input);
+      const key = entry.key || source.spaceKey || null;
+      const spaceNotesDir = multiSpace ? path.join(notesDir, sanitizeForPath(key)) : notesDir;
+      spaces.push({
+        ...entry,
+        key,
+        source,
+        notesDir: spaceNotesDir,
+        mediaRoot: path.join(spaceNotesDir, '_media'),
+        pageKey: file => (multiSpace ? `${key}/${file}` : file)
+      });
+    }
+  } catch (error) {
+    await Promise.all(spaces.map(space => space.source.close()));
+    throw error;
+  }
+  const report = createReport({
+    htmlDir: multiSpace ? spaces.map(space => space.source.root) : spaces[0].source.root,
+    mdDir,
+    emit
+  });
+  const renderOptions = {
+    fixNH,
+    includeNavigation,
+    titlePrefixToRemove,
+    convertExpanders,
+    calloutStyle,
+    statusStyle,
+    tableStrategy,
+    comments,
+    jiraBaseUrl,
+    mentionStyle,
+    attachmentsSection,
+    linkStyle,
+    anchorStyle
+  };
+  const workerCount = Math.max(1, parseInt(concurrency, 10) || 1);
+
+  let peopleEntries = [];
+  if (peopleFile) {
+    try {
+      peopleEntries = await loadPeopleFile(peopleFile);
+      logger.log(`👥 Loaded ${peopleEntries.length} people from ${peopleFile}`);
+    } catch (error) {
+      logger.warn(`⚠️  Unable to read people file at ${peopleFile}: ${error.message}`);
+    }
+  }
+  const people = peopleFile || personNotes || mentionStyle !== 'text'
+    ? createPeopleDirectory(peopleEntries, {
+      folder: peopleFolder,
+      notesDir,
+      linkStyle,
+      mentionStyle
+    })
+    : null;
+
+  const pageIndex = createPageIndex({ confluenceBaseUrl });
+  for (const space of spaces) {
+    space.assetManager = createAssetManager({
+      source: space.source,
+      notesDir,
+      linkStyle,
+      people,
+      dedupeAssets,
+      pageIndex,
+      report,
+      logger
+    });
+  }
+
+  const optionsHash = hashContent(JSON.stringify({
+    ...renderOptions,
+    frontMatterFields,
+    tagPrefix,
+    folderNotes,
+    spaceHome,
+    peopleEntries,
+    peopleFolder,
+    personNotes,
+    dedupeAssets,
+    confluenceBaseUrl,
+    spaces: multiSpace ? spaces.map(({ key, titlePrefix }) => ({ key, titlePrefix })) : null
+  }));
+  let pool = null;
 
   try {
     await fs.ensureDir(mdDir);
-    await fs.remove(notesDir);
-    await fs.ensureDir(notesDir);
 
-    const mediaRoot = path.join(notesDir, '_media');
-    const imagesSource = path.join(htmlDir, 'images');
+    const previousManifest = incremental ? await loadManifest(mdDir, logger) : null;
+    const previousPages = previousManifest ? previousManifest.pages : {};
+    const optionsChanged = Boolean(previousManifest) && previousManifest.optionsHash !== optionsHash;
 
-    await fs.remove(mediaRoot);
-    await fs.ensureDir(mediaRoot);
+    if (incremental) {
+      if (!previousManifest) {
+        logger.log('ℹ️  No previous manifest found; converting every page without clearing notes/.');
+      } else if (optionsChanged) {
+        logger.log('ℹ️  Conversion options changed since the last run; reconverting every page.');
+      }
+    } else {
+      await fs.remove(notesDir);
+    }
 
-    assetManager.resetCaches();
-    console.log('ℹ️  Attachments will be copied into per-note _media folders as they are referenced.');
+    await fs.ensureDir(notesDir);
 
-    try {
-      if (await fs.pathExists(imagesSource)) {
-        await fs.copy(imagesSource, path.join(mediaRoot, 'images'));
-      } else {
-        console.log('ℹ️  No images folder found; skipping copy.');
+    if (dedupeAssets === 'off') {
+      logger.log('ℹ️  Attachments will be copied into per-note _media folders as they are referenced.');
+    }
+    for (const space of spaces) {
+      const spaceLabel = multiSpace ? ` for ${space.key}` : '';
+      if (!incremental) {
+        await fs.remove(space.mediaRoot);
+      }
+      await fs.ensureDir(space.mediaRoot);
+
+      space.assetManager.resetCaches();
+      if (dedupeAssets !== 'off') {
+        logger.log(`ℹ️  Attachments and images${spaceLabel} will be stored once in ${toPosix(path.relative(mdDir, space.mediaRoot))} as they are referenced.`);
+        continue;
+      }
+      try {
+        if (!(await space.assetManager.copyImages(space.mediaRoot))) {
+          logger.log(`ℹ️  No images folder found${spaceLabel}; skipping copy.`);
+        }
+      } catch (error) {
+        logger.warn(`⚠️  Unable to copy images${spaceLabel}: ${error.message}`);
       }
-    } catch (error) {
-      console.warn(`⚠️  Unable to copy images: ${error.message}`);
     }
 
-    const files = await fs.readdir(htmlDir);
-    let htmlFiles = files.filter(file => file.endsWith('.html'));
+    const pageEntries = new Map();
+    for (const space of spaces) {
+      const files = (await space.source.list()).filter(entry => entry.isFile()).map(entry => entry.name);
+      space.htmlFiles = files.filter(file => file.endsWith('.html')).sort();
+      for (const file of space.htmlFiles) {
+        pageEntries.set(space.pageKey(file), { space, file });
+      }
+    }
+    const availableFiles = new Set(pageEntries.keys());
+    let htmlFiles = [...pageEntries.keys()];
 
     if (onlyFiles && onlyFiles.size) {
       const normalizedOnly = new Set();
@@ -144,39 +392,76 @@ async function convertHtmlToMarkdown(options = {}, config = {}) {
         }
       }
 
-      const missing = [...normalizedOnly].filter(name => !htmlFiles.includes(name));
+      const isRequested = key => normalizedOnly.has(key) || normalizedOnly.has(pageEntries.get(key).file);
+      const missing = [...normalizedOnly]
+        .filter(name => !htmlFiles.some(key => key === name || pageEntries.get(key).file === name));
       if (missing.length) {
-        console.warn(`⚠️  Requested files not found: ${missing.join(', ')}`);
+        logger.warn(`⚠️  Requested files not found: ${missing.join(', ')}`);
       }
 
-      htmlFiles = htmlFiles.filter(file => normalizedOnly.has(file));
+      htmlFiles = htmlFiles.filter(isRequested);
     }
 
     const filesToProcess = limit ? htmlFiles.slice(0, limit) : htmlFiles;
 
-    console.log(`🔄 Converting ${filesToProcess.length} HTML files to Markdown...`);
+    logger.log(`🔄 Converting ${filesToProcess.length} HTML files to Markdown...`);
+
+    const stopScanTimer = report.startTimer('scanMs');
+    for (const file of filesToProcess) {
+      report.recordPage(file, {});
+    }
 
     const metadataMap = new Map();
     const metadataByMd = new Map();
-    const usedSlugs = new Set();
 
-    for (const file of filesToProcess) {
-      const htmlPath = path.join(htmlDir, file);
-      const html = await fs.readFile(htmlPath, 'utf8');
-      const breadcrumbs = extractBreadcrumbs(html);
+    for (const space of spaces) {
+      space.metadataMap = new Map();
+      space.metadataByMd = new Map();
+      space.usedSlugs = new Set();
+      space.indexHtml = space.htmlFiles.includes('index.html')
+        ? await space.source.readFile('index.html', 'utf8')
+        : '';
+      space.key = space.key || extractSpaceKey(space.indexHtml);
+      space.pageTree = parsePageTree(space.indexHtml);
+      space.pageOrder = getPageOrder(space.pageTree);
+    }
+
+    for (const [key, entry] of Object.entries(previousPages)) {
+      if (availableFiles.has(key) && entry.slug) {
+        pageEntries.get(key).space.usedSlugs.add(entry.slug);
+      }
+    }
+
+    for (const key of filesToProcess) {
+      const { space, file } = pageEntries.get(key);
+      const html = await space.source.readFile(file, 'utf8');
+      const document = parseHtml(html);
+      const breadcrumbs = extractBreadcrumbs(document);
+      const breadcrumbLinks = extractBreadcrumbLinks(document);
+      const parentHref = breadcrumbLinks.length ? breadcrumbLinks[breadcrumbLinks.length - 1].href : null;
       const breadcrumbSlugs = breadcrumbs.map(sanitizeForPath).filter(Boolean);
-      const rawTitle = extractTitle(html);
-      const strippedTitle = stripTitlePrefix(rawTitle, titlePrefixToRemove);
+      const rawTitle = extractTitle(document);
+      const strippedTitle = stripTitlePrefix(rawTitle, space.titlePrefix);
       const pageTitle = strippedTitle || rawTitle;
-      const pageMetadata = extractPageMetadata(html);
+      const pageMetadata = extractPageMetadata(document);
       const preferredSlug = sanitizeForPath(pageTitle);
       const identifierSlug = deriveIdentifierSlug(file);
-      const slug = ensureUniqueSlug(preferredSlug, identifierSlug, usedSlugs);
+      const previousEntry = previousPages[key];
+      const slug = previousEntry && previousEntry.slug
+        ? previousEntry.slug
+        : ensureUniqueSlug(preferredSlug, identifierSlug, space.usedSlugs);
+      if (slug !== preferredSlug && !(previousEntry && previousEntry.slug)) {
+        report.recordSlugCollision(key, preferredSlug, slug);
+      }
       const mdFile = `${slug}.md`;
       const originalMdFile = file.replace('.html', '.md');
-      const targetDir = breadcrumbSlugs.length ? path.join(notesDir, ...breadcrumbSlugs) : notesDir;
+      const targetDir = breadcrumbSlugs.length ? path.join(space.notesDir, ...breadcrumbSlugs) : space.notesDir;
 
       const meta = {
+        pageKey: key,
+        sourceFile: file,
+        parentFile: parentHref && parentHref.endsWith('.html') ? path.posix.basename(parentHref) : null,
+        hash: hashContent(html),
         breadcrumbs,
         breadcrumbSlugs,
         targetDir,
@@ -184,66 +469,441 @@ async function convertHtmlToMarkdown(options = {}, config = {}) {
         originalMdFile,
         slug,
         title: pageTitle,
-        html,
+        originalTitle: rawTitle,
+        labels: extractLabels(document),
+        jiraKeys: extractJiraKeys(document),
+        attachmentNames: attachmentsSection ? extractAttachmentNames(document) : null,
+        headingIndex: buildHeadingIndex(extractHeadingAnchors(document), {
+          anchorStyle,
+          titlePrefix: space.titlePrefix,
+          precedingHeadings: [includeNavigation && breadcrumbs.length ? 'Navigation' : null, pageTitle]
+        }),
         pageMetadata
       };
 
       meta.outputPath = path.join(targetDir, mdFile);
 
-      metadataMap.set(file, meta);
-      metadataByMd.set(mdFile, meta);
+      metadataMap.set(key, meta);
+      space.metadataMap.set(file, meta);
+      space.metadataByMd.set(mdFile, meta);
       if (originalMdFile !== mdFile) {
-        metadataByMd.set(originalMdFile, meta);
+        space.metadataByMd.set(originalMdFile, meta);
       }
+      pageIndex.add(meta, space.key);
     }
 
+    for (const space of spaces) {
+      applyFolderNotes(space.metadataMap, { mode: folderNotes, notesDir: space.notesDir });
+      for (const [name, meta] of space.metadataByMd.entries()) {
+        if (!metadataByMd.has(name)) {
+          metadataByMd.set(name, meta);
+        }
+      }
+    }
+    for (const space of spaces) {
+      space.linkLookup = multiSpace ? new Map([...metadataByMd, ...space.metadataByMd]) : space.metadataByMd;
+    }
+
+    if (people && personNotes) {
+      for (const meta of new Set(metadataMap.values())) {
+        const { createdBy, lastUpdatedBy } = meta.pageMetadata || {};
+        const creator = createdBy ? people.ensure(createdBy) : null;
+        const updater = lastUpdatedBy ? people.ensure(lastUpdatedBy) : null;
+        if (creator) {
+          creator.created.push(meta);
+        }
+        if (updater) {
+          updater.updated.push(meta);
+        }
+      }
+    }
+
+    stopScanTimer();
+
+    const toManifestPath = (absolutePath) => toPosix(path.relative(mdDir, absolutePath));
+    const hashHeadings = meta => (meta.headingIndex.size ? hashContent(JSON.stringify([...meta.headingIndex])) : null);
+    const changedTargets = new Set();
+
+    for (const [key, meta] of metadataMap.entries()) {
+      const previousEntry = previousPages[key];
+      if (
+        !previousEntry ||
+        previousEntry.outputPath !== toManifestPath(meta.outputPath) ||
+        (previousEntry.headings || null) !== hashHeadings(meta)
+      ) {
+        changedTargets.add(meta.mdFile);
+        changedTargets.add(meta.originalMdFile);
+      }
+    }
+
+    const nextManifest = createEmptyManifest();
+    nextManifest.optionsHash = optionsHash;
+    const removedSources = [];
+
+    for (const [key, entry] of Object.entries(previousPages)) {
+      if (!availableFiles.has(key)) {
+        removedSources.push(key);
+        changedTargets.add(path.posix.basename(entry.outputPath));
+        changedTargets.add(path.posix.basename(key).replace('.html', '.md'));
+      } else if (!metadataMap.has(key)) {
+        nextManifest.pages[key] = entry;
+      }
+    }
+
+    const convertedPages = [];
     let successCount = 0;
     let errorCount = 0;
+    let skippedCount = 0;
+    const stopConvertTimer = report.startTimer('convertMs');
+
+    let renderPage;
+    if (workerCount > 1) {
+      pool = createWorkerPool({ size: workerCount, workerData: renderOptions });
+      logger.log(`ℹ️  Converting with ${workerCount} worker threads.`);
+      renderPage = async (space, file) => pool.run({
+        html: await space.source.readFile(file, 'utf8'),
+        titlePrefixToRemove: space.titlePrefix
+      });
+    } else {
+      for (const space of spaces) {
+        space.renderHtml = createPageRenderer({ ...renderOptions, titlePrefixToRemove: space.titlePrefix });
+      }
+      renderPage = async (space, file) => space.renderHtml(await space.source.readFile(file, 'utf8'));
+    }
 
-    for (const file of filesToProcess) {
-      const meta = metadataMap.get(file);
+    await runWithConcurrency(filesToProcess, workerCount, async (key) => {
+      const meta = metadataMap.get(key);
       if (!meta) {
-        continue;
+        return;
+      }
+
+      const { space, file } = pageEntries.get(key);
+      const previousEntry = previousPages[key];
+      const manifestOutput = toManifestPath(meta.outputPath);
+
+      if (
+        incremental &&
+        previousEntry &&
+        !(spaceHome && file === 'index.html') &&
+        !optionsChanged &&
+        previousEntry.hash === meta.hash &&
+        previousEntry.outputPath === manifestOutput &&
+        !(previousEntry.links || []).some(name => changedTargets.has(name)) &&
+        await fs.pathExists(meta.outputPath)
+      ) {
+        nextManifest.pages[key] = previousEntry;
+        report.recordPage(key, { output: manifestOutput, status: 'unchanged' });
+        for (const table of previousEntry.tables || []) {
+          report.recordDowngradedTable(key, table);
+        }
+        emit('page:done', { source: key, output: meta.outputPath, status: 'unchanged' });
+        skippedCount += 1;
+        return;
       }
 
+      const pageStartedAt = Date.now();
+      emit('page:start', { source: key, output: meta.outputPath });
+
       try {
         await fs.ensureDir(meta.targetDir);
 
-        const cleanedHtml = cleanupHtml(meta.html, { convertExpanders });
-        let markdown = turndownService.turndown(cleanedHtml);
-        markdown = cleanupMarkdown(markdown, {
-          fixNH,
-          includeNavigation,
-          titlePrefixToRemove
-        });
-        markdown = await assetManager.adjustMarkdownPaths(markdown, meta, metadataByMd, mediaRoot);
+        const rendered = spaceHome && file === 'index.html'
+          ? {
+            markdown: buildSpaceHomeMarkdown(space.indexHtml, {
+              title: meta.title,
+              tree: space.pageTree,
+              metadataMap: space.metadataMap,
+              titlePrefixToRemove: space.titlePrefix
+            }),
+            tables: [],
+            comments: []
+          }
+          : await renderPage(space, file);
+        for (const table of rendered.tables) {
+          report.recordDowngradedTable(key, table);
+        }
+        let pageMarkdown = rendered.markdown;
+        if (attachmentsSection) {
+          const pageId = deriveIdentifierSlug(file);
+          const section = /^\d+$/.test(pageId || '')
+            ? await space.assetManager.buildAttachmentsSection(pageId, meta.attachmentNames || {})
+            : '';
+          if (section) {
+            pageMarkdown = `${pageMarkdown.replace(/\s+$/, '')}\n\n${section}\n`;
+          }
+        }
+        if (comments === 'section') {
+          pageMarkdown = appendCommentsSection(pageMarkdown, rendered.comments);
+        }
+        let markdown = await space.assetManager.adjustMarkdownPaths(pageMarkdown, meta, space.linkLookup, space.mediaRoot);
+
+        let commentsPath = null;
+        meta.commentsLink = null;
+        if (comments === 'sidecar' && rendered.comments.length) {
+          commentsPath = path.join(path.dirname(meta.outputPath), `${meta.slug}.comments.md`);
+          meta.commentsLink = linkStyle === 'wikilink'
+            ? `[[${meta.slug}.comments]]`
+            : path.basename(commentsPath);
+          const sidecarMeta = { ...meta };
+          const sidecarMarkdown = await space.assetManager.adjustMarkdownPaths(buildCommentsSidecar(rendered.comments, {
+            title: meta.title,
+            noteLink: `[${meta.title.replace(/([[\]])/g, '\\$1')}](${meta.mdFile})`
+          }), sidecarMeta, space.linkLookup, space.mediaRoot);
+          meta.copiedAssets = [...(meta.copiedAssets || []), ...(sidecarMeta.copiedAssets || [])];
+          meta.linkedFiles = [...new Set([...(meta.linkedFiles || []), ...(sidecarMeta.linkedFiles || [])])];
+          await fs.writeFile(commentsPath, sidecarMarkdown);
+        }
 
-        const frontMatter = buildFrontMatter(meta.pageMetadata);
+        const frontMatter = buildFrontMatter(meta, {
+          fields: frontMatterFields,
+          tagPrefix,
+          people
+        });
         if (frontMatter) {
           markdown = `${frontMatter}${markdown}`;
         }
 
         await fs.writeFile(meta.outputPath, markdown);
 
+        const commentsOutput = commentsPath ? toManifestPath(commentsPath) : null;
+        await removeOutputs([
+          previousEntry && previousEntry.outputPath !== manifestOutput ? previousEntry.outputPath : null,
+          previousEntry && previousEntry.comments !== commentsOutput ? previousEntry.comments : null
+        ], mdDir, notesDir, logger);
+
+        nextManifest.pages[key] = {
+          hash: meta.hash,
+          outputPath: manifestOutput,
+          slug: meta.slug,
+          breadcrumbs: meta.breadcrumbSlugs,
+          assets: [...new Set((meta.copiedAssets || []).map(toManifestPath))].sort(),
+          links: [...(meta.linkedFiles || [])].sort()
+        };
+        if (commentsOutput) {
+          nextManifest.pages[key].comments = commentsOutput;
+        }
+        if (rendered.tables.length) {
+          nextManifest.pages[key].tables = rendered.tables;
+        }
+        if (hashHeadings(meta)) {
+          nextManifest.pages[key].headings = hashHeadings(meta);
+        }
+
         const relativeOutput = toPosix(path.relative(notesDir, meta.outputPath)) || path.basename(meta.outputPath);
-        console.log(`✓ Converted: ${file} → ${relativeOutput}`);
+        logger.log(`✓ Converted: ${key} → ${relativeOutput}`);
+        report.recordPage(key, {
+          output: manifestOutput,
+          status: 'converted',
+          durationMs: Date.now() - pageStartedAt,
+          comments: countComments(rendered.comments)
+        });
+        convertedPages.push({
+          source: key,
+          output: meta.outputPath,
+          slug: meta.slug,
+          title: meta.title
+        });
+        emit('page:done', { source: key, output: meta.outputPath, status: 'converted' });
         successCount += 1;
       } catch (err) {
-        console.error(`✗ Error converting ${file}: ${err.message}`);
+        logger.error(`✗ Error converting ${key}: ${err.message}`);
+        report.recordPage(key, {
+          output: manifestOutput,
+          status: 'error',
+          error: err.message,
+          durationMs: Date.now() - pageStartedAt
+        });
+        emit('page:error', { source: key, error: err });
         errorCount += 1;
-      } finally {
-        meta.html = null;
+        if (previousEntry) {
+          nextManifest.pages[key] = previousEntry;
+        }
+      }
+    });
+
+    stopConvertTimer();
+
+    const generatedNotes = [];
+    if (folderNotes === 'moc') {
+      for (const space of spaces) {
+        const folderIndexes = buildFolderIndexes(space.metadataMap, {
+          notesDir: space.notesDir,
+          order: space.pageOrder,
+          titlePrefixToRemove: space.titlePrefix
+        });
+        const indexLookup = new Map(space.linkLookup);
+        for (const folderIndex of folderIndexes) {
+          indexLookup.set(folderIndex.linkName, folderIndex);
+        }
+
+        for (const folderIndex of folderIndexes) {
+          try {
+            await fs.ensureDir(folderIndex.targetDir);
+            const relativeIndexPath = toManifestPath(folderIndex.outputPath);
+            const markdown = await space.assetManager.adjustMarkdownPaths(folderIndex.markdown, {
+              sourceFile: relativeIndexPath,
+              mdFile: path.basename(folderIndex.outputPath),
+              targetDir: folderIndex.targetDir,
+              outputPath: folderIndex.outputPath
+            }, indexLookup, space.mediaRoot);
+            await fs.writeFile(folderIndex.outputPath, markdown);
+            generatedNotes.push(relativeIndexPath);
+          } catch (err) {
+            logger.warn(`⚠️  Unable to write folder index ${folderIndex.outputPath}: ${err.message}`);
+          }
+        }
+      }
+
+      if (generatedNotes.length) {
+        logger.log(`🗂️  Generated ${generatedNotes.length} folder index notes.`);
+      }
+    }
+
+    if (people && personNotes) {
+      let personNoteCount = 0;
+      for (const person of people.list()) {
+        if (!person.created.length && !person.updated.length) {
+          continue;
+        }
+        try {
+          const personDir = path.dirname(person.outputPath);
+          const relativePersonPath = toManifestPath(person.outputPath);
+          await fs.ensureDir(personDir);
+          const markdown = await spaces[0].assetManager.adjustMarkdownPaths(people.buildPersonNote(person), {
+            sourceFile: relativePersonPath,
+            mdFile: path.basename(person.outputPath),
+            targetDir: personDir,
+            outputPath: person.outputPath
+          }, metadataByMd, spaces[0].mediaRoot);
+          await fs.writeFile(person.outputPath, markdown);
+          generatedNotes.push(relativePersonPath);
+          personNoteCount += 1;
+        } catch (err) {
+          logger.warn(`⚠️  Unable to write person note ${person.outputPath}: ${err.message}`);
+        }
+      }
+
+      if (personNoteCount) {
+        logger.log(`👥 Generated ${personNoteCount} person notes.`);
+      }
+    }
+
+    nextManifest.generated = generatedNotes.sort();
+    const previousGenerated = previousManifest && Array.isArray(previousManifest.generated)
+      ? previousManifest.generated
+      : [];
+    await removeOutputs(
+      previousGenerated.filter(output => !generatedNotes.includes(output)),
+      mdDir,
+      notesDir,
+      logger
+    );
+
+    if (removedSources.length) {
+      const removedOutputs = await removeOutputs(
+        removedSources.flatMap(file => [previousPages[file].outputPath, previousPages[file].comments]),
+        mdDir,
+        notesDir,
+        logger
+      );
+      for (const output of removedOutputs) {
+        logger.log(`🗑️  Removed: ${output}`);
+      }
+      for (const file of removedSources) {
+        report.recordRemoved(file, previousPages[file].outputPath);
+      }
+    }
+
+    const referencedAssets = new Set();
+    for (const entry of Object.values(nextManifest.pages)) {
+      for (const asset of entry.assets || []) {
+        referencedAssets.add(asset);
       }
     }
 
-    console.log('\n🎉 Conversion complete!');
-    console.log(`📊 Results: ${successCount} successful, ${errorCount} errors`);
-    console.log(`📂 Markdown output: ${notesDir}`);
+    const staleAssets = new Set();
+    for (const entry of Object.values(previousPages)) {
+      for (const asset of entry.assets || []) {
+        if (!referencedAssets.has(asset)) {
+          staleAssets.add(asset);
+        }
+      }
+    }
+    await removeOutputs([...staleAssets], mdDir, notesDir, logger);
+
+    const pageAssets = Object.values(nextManifest.pages)
+      .map(entry => (entry.assets || []).map(asset => path.join(mdDir, asset)));
+    const assetStats = mergeAssetStats(await Promise.all(
+      spaces.map(space => space.assetManager.getStats(space.mediaRoot, pageAssets))
+    ));
+    report.recordAssetStats(assetStats);
+
+    const manifestPath = await saveManifest(mdDir, nextManifest);
+    const { reportPath, data: reportData } = await report.write();
+
+    logger.log('\n🎉 Conversion complete!');
+    if (incremental) {
+      logger.log(`📊 Results: ${successCount} converted, ${skippedCount} unchanged, ${removedSources.length} removed, ${errorCount} errors`);
+    } else {
+      logger.log(`📊 Results: ${successCount} successful, ${errorCount} errors`);
+    }
+    if (reportData.summary.missingAssets || reportData.summary.unresolvedLinks) {
+      logger.log(`⚠️  ${reportData.summary.missingAssets} missing assets, ${reportData.summary.unresolvedLinks} unresolved links`);
+    }
+    if (dedupeAssets !== 'off') {
+      logger.log(`💾 Stored ${assetStats.storedFiles} unique attachments, saving ${formatBytes(assetStats.savedBytes)}; skipped ${assetStats.skippedImages} unreferenced images (${formatBytes(assetStats.skippedImageBytes)}).`);
+    }
+    logger.log(`📂 Markdown output: ${notesDir}`);
+    logger.log(`🧾 Report: ${reportPath}`);
+
+    const processOrder = new Map(filesToProcess.map((key, index) => [key, index]));
+    convertedPages.sort((a, b) => processOrder.get(a.source) - processOrder.get(b.source));
+
+    return {
+      notesDir,
+      manifestPath,
+      reportPath,
+      pages: convertedPages,
+      errors: reportData.errors,
+      report: reportData
+    };
   } catch (error) {
-    console.error('💥 Fatal error:', error);
+    report.recordFatal(error);
+    try {
+      await report.write();
+    } catch (reportError) {
+      logger.warn(`⚠️  Unable to write conversion report: ${reportError.message}`);
+    }
+    throw error;
+  } finally {
+    if (pool) {
+      await pool.destroy();
+    }
+    await Promise.all(spaces.map(space => space.source.close()));
+  }
+}
+
+function decodePlaceholder(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
   }
 }
 
+function convertPage(html, context = {}) {
+  const renderPage = createPageRenderer(context);
+  const people = createPeopleDirectory([], { mentionStyle: context.mentionStyle });
+  return renderPage(html || '').markdown
+    .replace(/\[([^\]]*)\]\(confluence-user:([^\)]*)\)/g, (match, text, id) => people.formatMention(decodePlaceholder(id), text))
+    .replace(/\[[^\]]*\]\(confluence-diagram:[a-z]+:([^:\)]*):([^\)]*)\)/g, (match, encodedSource, encodedName) => {
+      const sourceRel = decodePlaceholder(encodedSource);
+      const name = decodePlaceholder(encodedName);
+      return sourceRel && !sourceRel.endsWith('/') ? `[${name}](${encodeURI(sourceRel)})` : name;
+    });
+}
+
 module.exports = {
-  convertHtmlToMarkdown
+  convertHtmlToMarkdown,
+  convertPage
 };
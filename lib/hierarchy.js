@@ -0,0 +1,199 @@
+const path = require('path');
+const { parseHtml } = require('./html');
+const { stripTitlePrefix } = require('./utils');
+
+const FOLLOWING_NODE = 4;
+const FOLDER_NOTE_MODES = ['none', 'folder-note', 'index', 'moc'];
+
+function textOf(node) {
+  return node ? (node.textContent || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim() : '';
+}
+
+function findPageList(document) {
+  const lists = Array.from(document.querySelectorAll('ul'));
+  const heading = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, .pageSectionTitle'))
+    .find(element => /Available Pages/i.test(textOf(element)));
+  if (!heading) {
+    return lists[0] || null;
+  }
+  return lists.find(list => heading.compareDocumentPosition(list) & FOLLOWING_NODE) || null;
+}
+
+function parsePageTree(html) {
+  if (!html) {
+    return [];
+  }
+
+  const readItems = list => Array.from(list.children)
+    .filter(item => item.nodeName === 'LI')
+    .flatMap((item) => {
+      const link = Array.from(item.querySelectorAll('a[href]'))
+        .find(anchor => anchor.closest('li') === item && /\.html$/i.test(anchor.getAttribute('href')));
+      const children = Array.from(item.querySelectorAll('ul'))
+        .filter(nested => nested.parentNode.closest('li') === item)
+        .flatMap(readItems);
+      return link
+        ? [{ file: path.posix.basename(link.getAttribute('href')), title: textOf(link), children }]
+        : children;
+    });
+
+  const list = findPageList(parseHtml(html));
+  return list ? readItems(list) : [];
+}
+
+function getPageOrder(tree) {
+  const order = new Map();
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (!order.has(node.file)) {
+        order.set(node.file, order.size);
+      }
+      visit(node.children);
+    }
+  };
+  visit(tree);
+  return order;
+}
+
+function comparePages(order) {
+  return (a, b) => {
+    const orderA = order.has(a.sourceFile) ? order.get(a.sourceFile) : Number.MAX_SAFE_INTEGER;
+    const orderB = order.has(b.sourceFile) ? order.get(b.sourceFile) : Number.MAX_SAFE_INTEGER;
+    if (orderA !== orderB) {
+      return orderA - orderB;
+    }
+    return a.title.localeCompare(b.title);
+  };
+}
+
+function applyFolderNotes(metadataMap, { mode, notesDir }) {
+  if (mode !== 'folder-note' && mode !== 'index') {
+    return;
+  }
+
+  const folderByParent = new Map();
+  for (const meta of metadataMap.values()) {
+    if (meta.parentFile && meta.breadcrumbSlugs.length && !folderByParent.has(meta.parentFile)) {
+      folderByParent.set(meta.parentFile, meta.breadcrumbSlugs);
+    }
+  }
+
+  for (const [parentFile, folderSlugs] of folderByParent.entries()) {
+    const meta = metadataMap.get(parentFile);
+    if (!meta) {
+      continue;
+    }
+    const folderName = folderSlugs[folderSlugs.length - 1];
+    meta.targetDir = path.join(notesDir, ...folderSlugs);
+    meta.outputPath = path.join(meta.targetDir, mode === 'index' ? 'index.md' : `${folderName}.md`);
+  }
+}
+
+function extractSpaceDetail(html, label) {
+  const pattern = new RegExp(`^${label}:?$`, 'i');
+  const header = Array.from(parseHtml(html).querySelectorAll('th'))
+    .find(cell => pattern.test(textOf(cell)));
+  const cell = header && header.nextElementSibling;
+  return cell && cell.nodeName === 'TD' ? textOf(cell) : '';
+}
+
+function extractSpaceDescription(html) {
+  return extractSpaceDetail(html, 'Description');
+}
+
+function extractSpaceKey(html) {
+  return extractSpaceDetail(html, 'Key') || null;
+}
+
+function buildSpaceHomeMarkdown(html, { title, tree, metadataMap, titlePrefixToRemove = null }) {
+  const lines = [`# ${title}`, ''];
+
+  const description = extractSpaceDescription(html);
+  if (description) {
+    lines.push(description, '');
+  }
+
+  const treeLines = [];
+  const visit = (nodes, depth) => {
+    for (const node of nodes) {
+      const meta = metadataMap.get(node.file);
+      const label = meta ? meta.title : stripTitlePrefix(node.title, titlePrefixToRemove) || node.title;
+      treeLines.push(`${'  '.repeat(depth)}- [${label}](${node.file.replace('.html', '.md')})`);
+      visit(node.children, depth + 1);
+    }
+  };
+  visit(tree, 0);
+
+  if (treeLines.length) {
+    lines.push('## Pages', '', ...treeLines, '');
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+function buildFolderIndexes(metadataMap, { notesDir, order, titlePrefixToRemove = null }) {
+  const folders = new Map();
+  const folderByParent = new Map();
+
+  for (const meta of metadataMap.values()) {
+    if (!meta.breadcrumbSlugs.length) {
+      continue;
+    }
+    const key = meta.breadcrumbSlugs.join('/');
+    if (!folders.has(key)) {
+      const lastBreadcrumb = meta.breadcrumbs[meta.breadcrumbs.length - 1];
+      folders.set(key, {
+        key,
+        slugs: meta.breadcrumbSlugs,
+        title: stripTitlePrefix(lastBreadcrumb, titlePrefixToRemove) || lastBreadcrumb,
+        parentFile: meta.parentFile,
+        pages: []
+      });
+    }
+    folders.get(key).pages.push(meta);
+    if (meta.parentFile && !folderByParent.has(meta.parentFile)) {
+      folderByParent.set(meta.parentFile, key);
+    }
+  }
+
+  const sortedKeys = [...folders.keys()].sort();
+  const linkNames = new Map(sortedKeys.map((key, index) => [key, `folder-index-${index + 1}.md`]));
+
+  return sortedKeys.map(key => {
+    const folder = folders.get(key);
+    const targetDir = path.join(notesDir, ...folder.slugs);
+    const lines = [`# ${folder.title}`, ''];
+
+    const parentMeta = folder.parentFile ? metadataMap.get(folder.parentFile) : null;
+    if (parentMeta) {
+      lines.push(`Parent page: [${parentMeta.title}](${parentMeta.originalMdFile})`, '');
+    }
+
+    for (const meta of folder.pages.sort(comparePages(order))) {
+      lines.push(`- [${meta.title}](${meta.originalMdFile})`);
+      const childFolder = folderByParent.get(meta.sourceFile);
+      if (childFolder && childFolder !== key) {
+        lines.push(`  - [Contents](${linkNames.get(childFolder)})`);
+      }
+    }
+
+    return {
+      key,
+      linkName: linkNames.get(key),
+      title: folder.title,
+      targetDir,
+      outputPath: path.join(targetDir, `${folder.slugs[folder.slugs.length - 1]}-MOC.md`),
+      markdown: `${lines.join('\n').trim()}\n`
+    };
+  });
+}
+
+module.exports = {
+  FOLDER_NOTE_MODES,
+  parsePageTree,
+  getPageOrder,
+  applyFolderNotes,
+  buildSpaceHomeMarkdown,
+  buildFolderIndexes,
+  extractSpaceKey
+};
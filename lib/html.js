@@ -1,123 +1,1068 @@
-const { decodeEntities, stripHtmlTags } = require('./utils');
+const domino = require('@mixmark-io/domino');
 
-function cleanupHtml(html, options = {}) {
-  const { convertExpanders = false } = options;
+const CALLOUT_TYPES = {
+  information: 'info',
+  info: 'info',
+  note: 'note',
+  warning: 'warning',
+  tip: 'tip',
+  success: 'success',
+  error: 'danger'
+};
+
+const BRUSH_LANGUAGES = {
+  actionscript3: 'actionscript',
+  coldfusion: 'cfm',
+  csharp: 'csharp',
+  delphi: 'pascal',
+  erl: 'erlang',
+  javafx: 'java',
+  js: 'javascript',
+  jscript: 'javascript',
+  none: '',
+  plain: '',
+  py: 'python',
+  sass: 'scss',
+  shell: 'bash',
+  text: '',
+  vb: 'vbnet',
+  yml: 'yaml'
+};
+
+function parseSyntaxHighlighterParams(value) {
+  const params = {};
+  if (!value) {
+    return params;
+  }
+
+  for (const part of value.split(';')) {
+    const separatorIndex = part.indexOf(':');
+    if (separatorIndex === -1) {
+      continue;
+    }
+    const key = part.slice(0, separatorIndex).trim().toLowerCase();
+    const paramValue = part.slice(separatorIndex + 1).trim();
+    if (key) {
+      params[key] = paramValue;
+    }
+  }
+
+  return params;
+}
+
+function resolveCodeLanguage(brush) {
+  if (!brush) {
+    return '';
+  }
+  const normalized = brush.trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(BRUSH_LANGUAGES, normalized)) {
+    return BRUSH_LANGUAGES[normalized];
+  }
+  return normalized.replace(/[^a-z0-9+#-]/g, '');
+}
+
+const BREADCRUMB_SELECTORS = [
+  '#breadcrumbs',
+  '#breadcrumb-section',
+  'nav[aria-label="Breadcrumbs"]',
+  '.breadcrumbs'
+];
+
+function parseHtml(html) {
+  return domino.createDocument(html || '');
+}
+
+function toDocument(htmlOrDocument) {
+  if (htmlOrDocument && typeof htmlOrDocument === 'object' && htmlOrDocument.documentElement) {
+    return htmlOrDocument;
+  }
+  return parseHtml(typeof htmlOrDocument === 'string' ? htmlOrDocument : '');
+}
+
+function textOf(node) {
+  return node ? (node.textContent || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim() : '';
+}
+
+function hasClass(node, className) {
+  return Boolean(node && node.classList && node.classList.contains(className));
+}
+
+function childElements(node) {
+  return node ? Array.from(node.children || []) : [];
+}
+
+function findChild(node, predicate) {
+  return childElements(node).find(predicate) || null;
+}
+
+function replaceWith(node, replacement) {
+  if (node.parentNode) {
+    node.parentNode.replaceChild(replacement, node);
+  }
+}
+
+function moveChildren(source, target) {
+  while (source.firstChild) {
+    target.appendChild(source.firstChild);
+  }
+}
+
+function stripDataAttributes(document) {
+  for (const element of Array.from(document.querySelectorAll('*'))) {
+    for (const attribute of Array.from(element.attributes)) {
+      if (attribute.name.toLowerCase().startsWith('data-')) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  }
+}
+
+function rewriteLinks(document) {
+  for (const element of Array.from(document.querySelectorAll('[href]'))) {
+    const href = element.getAttribute('href');
+    if (!href || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+      continue;
+    }
+    const match = href.match(/^([^#?]*)\.html(#.*)?$/);
+    if (!match) {
+      continue;
+    }
+    element.setAttribute('href', `${match[1]}.md${match[2] || ''}`);
+  }
+}
+
+function rewriteUserLinks(document) {
+  for (const link of Array.from(document.querySelectorAll('a.confluence-userlink'))) {
+    const username = link.getAttribute('data-username');
+    const userKey = link.getAttribute('data-user-key');
+    if (username) {
+      link.setAttribute('href', `/display/~${encodeURIComponent(username)}`);
+    } else if (userKey && !/[~=]/.test(link.getAttribute('href') || '')) {
+      link.setAttribute('href', `/users/viewuserprofile.action?userKey=${encodeURIComponent(userKey)}`);
+    }
+  }
+}
+
+const ATTACHMENT_IMAGE_PATTERN = /^attachments\/[^?#]+\.(?:png|jpe?g|gif|bmp|svg|webp|tiff?)(?:[?#]|$)/i;
+
+function getQueryDimension(src, name) {
+  const match = (src || '').match(new RegExp(`[?&](?:amp;)?${name}=(\\d+)`));
+  return match ? match[1] : null;
+}
+
+function rewriteEmbeddedImages(document) {
+  for (const image of Array.from(document.querySelectorAll('img'))) {
+    const src = image.getAttribute('src') || '';
+    const link = image.parentNode && image.parentNode.nodeName === 'A' ? image.parentNode : null;
+    const linkHref = link ? link.getAttribute('href') || '' : '';
+    const linksToOriginal = Boolean(link) && !textOf(link) && link.querySelectorAll('img').length === 1 &&
+      (ATTACHMENT_IMAGE_PATTERN.test(linkHref) || linkHref === image.getAttribute('data-image-src'));
+    const original = linksToOriginal ? linkHref : image.getAttribute('data-image-src');
+
+    if (original && original !== src) {
+      const sized = image.getAttribute('width') || image.getAttribute('height');
+      for (const dimension of sized ? [] : ['width', 'height']) {
+        const value = image.getAttribute(`data-${dimension}`) || getQueryDimension(src, dimension);
+        if (value) {
+          image.setAttribute(dimension, value);
+        }
+      }
+      image.setAttribute('src', original);
+    }
+    if (linksToOriginal) {
+      replaceWith(link, image);
+    }
+
+    const imageSrc = image.getAttribute('src') || '';
+    if (!(image.getAttribute('alt') || '').trim() && imageSrc.startsWith('attachments/')) {
+      const fileName = image.getAttribute('data-linked-resource-default-alias') ||
+        imageSrc.replace(/[?#].*$/, '').split('/').pop();
+      image.setAttribute('alt', (image.getAttribute('title') || fileName.replace(/\.[a-z0-9]+$/i, '')).trim());
+    }
+  }
+
+  for (const caption of Array.from(document.querySelectorAll('figcaption, .confluence-image-caption'))) {
+    const text = textOf(caption);
+    if (!text) {
+      caption.remove();
+      continue;
+    }
+    const paragraph = document.createElement('p');
+    const emphasis = document.createElement('em');
+    emphasis.textContent = text;
+    paragraph.appendChild(emphasis);
+    replaceWith(caption, paragraph);
+  }
+}
+
+function rewriteInformationMacros(document) {
+  const macros = Array.from(document.querySelectorAll('div.confluence-information-macro'));
+
+  for (const macro of macros) {
+    let type = 'info';
+    for (const className of Array.from(macro.classList)) {
+      const typeMatch = className.match(/^confluence-information-macro-([a-z]+)$/i);
+      const candidate = typeMatch && typeMatch[1].toLowerCase();
+      if (candidate && CALLOUT_TYPES[candidate]) {
+        type = CALLOUT_TYPES[candidate];
+        break;
+      }
+    }
+
+    const titleNode = findChild(macro, child => child.nodeName === 'P' && hasClass(child, 'title'));
+    const title = textOf(titleNode);
+    if (titleNode) {
+      titleNode.remove();
+    }
+
+    const callout = document.createElement('div');
+    callout.className = 'confluence-callout';
+    callout.setAttribute('data-callout', type);
+    if (title) {
+      callout.setAttribute('data-callout-title', title);
+    }
+
+    for (const child of childElements(macro)) {
+      if (hasClass(child, 'confluence-information-macro-icon')) {
+        child.remove();
+      } else if (hasClass(child, 'confluence-information-macro-body')) {
+        const body = document.createElement('div');
+        body.className = 'info-box';
+        moveChildren(child, body);
+        replaceWith(child, body);
+      }
+    }
+
+    moveChildren(macro, callout);
+    replaceWith(macro, callout);
+  }
+}
+
+function rewriteCodeMacros(document) {
+  const panels = Array.from(document.querySelectorAll('div.code.panel, div.preformatted.panel'));
+
+  for (const panel of panels) {
+    const pre = panel.querySelector('pre');
+    if (!pre) {
+      continue;
+    }
+
+    const isCode = hasClass(panel, 'code');
+    const legacyClass = pre.getAttribute('class') || '';
+    const params = parseSyntaxHighlighterParams(
+      pre.getAttribute('data-syntaxhighlighter-params') ||
+      (legacyClass.includes('brush:') ? legacyClass : '')
+    );
+
+    const header = panel.querySelector('.codeHeader, .preformattedHeader');
+    const title = textOf(header) || params.title || '';
+    const language = isCode ? resolveCodeLanguage(params.brush) : '';
+
+    const replacement = document.createElement('pre');
+    replacement.className = language ? `confluence-code language-${language}` : 'confluence-code';
+    if (title) {
+      replacement.setAttribute('title', title);
+    }
+
+    const firstLine = parseInt(params['first-line'], 10);
+    if (params.gutter !== 'false' && params.gutter !== undefined && firstLine > 1) {
+      replacement.setAttribute('start', String(firstLine));
+    }
+
+    replacement.textContent = pre.textContent;
+    replaceWith(panel, replacement);
+  }
+}
+
+const JIRA_KEY_PATTERN = /\b[A-Z][A-Z0-9_]+-\d+\b/;
+const JIRA_TABLE_SELECTOR = 'div.jira-table, div.jira-issues, div[data-macro-name="jira"]';
+
+function getJiraKey(element) {
+  const dataKey = element.getAttribute('data-jira-key');
+  if (dataKey && dataKey.trim()) {
+    return dataKey.trim();
+  }
+  for (const link of Array.from(element.querySelectorAll('a[href]'))) {
+    const match = link.getAttribute('href').match(/\/browse\/([A-Z][A-Z0-9_]+-\d+)/);
+    if (match) {
+      return match[1];
+    }
+  }
+  const match = textOf(element).match(JIRA_KEY_PATTERN);
+  return match ? match[0] : null;
+}
+
+function getJiraUrl(element, key, jiraBaseUrl) {
+  if (jiraBaseUrl) {
+    return `${jiraBaseUrl.replace(/\/+$/, '')}/browse/${key}`;
+  }
+  const link = Array.from(element.querySelectorAll('a[href]'))
+    .find(candidate => /^https?:\/\//i.test(candidate.getAttribute('href')) &&
+      candidate.getAttribute('href').includes(`/browse/${key}`));
+  return link ? link.getAttribute('href') : null;
+}
+
+function createJiraLink(document, element, key, jiraBaseUrl) {
+  const url = getJiraUrl(element, key, jiraBaseUrl);
+  if (!url) {
+    return document.createTextNode(key);
+  }
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.textContent = key;
+  return link;
+}
+
+function getCellText(cell) {
+  const text = textOf(cell).replace(/\s+/g, ' ');
+  if (text) {
+    return text;
+  }
+  const image = cell.querySelector('img[alt], img[title]');
+  return image ? (image.getAttribute('alt') || image.getAttribute('title') || '').trim() : '';
+}
+
+function rewriteJiraTable(document, container, jiraBaseUrl) {
+  const table = container.querySelector('table');
+  const rows = table ? getTableRows(table) : [];
+  if (!rows.length) {
+    return;
+  }
+
+  const headers = getRowCells(rows[0]).map(getCellText);
+  let keyColumn = headers.findIndex(header => /^key$/i.test(header));
+
+  const replacement = document.createElement('table');
+  const headRow = document.createElement('tr');
+  for (const header of headers) {
+    const cell = document.createElement('th');
+    cell.textContent = header;
+    headRow.appendChild(cell);
+  }
+  replacement.appendChild(headRow);
+
+  for (const row of rows.slice(1)) {
+    const cells = getRowCells(row);
+    if (keyColumn === -1) {
+      keyColumn = cells.findIndex(cell => JIRA_KEY_PATTERN.test(textOf(cell)));
+    }
+    const keyCell = cells[keyColumn];
+    const key = keyCell && getJiraKey(keyCell);
+    if (!key) {
+      continue;
+    }
+
+    const newRow = document.createElement('tr');
+    cells.forEach((cell, index) => {
+      const newCell = document.createElement('td');
+      if (index === keyColumn) {
+        newCell.appendChild(createJiraLink(document, cell, key, jiraBaseUrl));
+      } else {
+        newCell.textContent = getCellText(cell);
+      }
+      newRow.appendChild(newCell);
+    });
+    replacement.appendChild(newRow);
+  }
+
+  replaceWith(container, replacement);
+}
+
+function rewriteJiraMacros(document, jiraBaseUrl) {
+  for (const container of Array.from(document.querySelectorAll(JIRA_TABLE_SELECTOR))) {
+    if (container.querySelector('table')) {
+      rewriteJiraTable(document, container, jiraBaseUrl);
+    }
+  }
+
+  for (const issue of Array.from(document.querySelectorAll('span.jira-issue'))) {
+    const key = getJiraKey(issue);
+    if (!key) {
+      continue;
+    }
+
+    const replacement = document.createElement('span');
+    replacement.className = 'confluence-jira-issue';
+    replacement.appendChild(createJiraLink(document, issue, key, jiraBaseUrl));
+
+    const summary = textOf(issue.querySelector('.summary'));
+    if (summary) {
+      const summaryNode = document.createElement('span');
+      summaryNode.className = 'jira-summary';
+      summaryNode.textContent = summary;
+      replacement.appendChild(summaryNode);
+    }
+
+    const status = issue.querySelector('.aui-lozenge');
+    if (status && textOf(status)) {
+      const statusNode = document.createElement('span');
+      statusNode.className = status.className;
+      statusNode.textContent = textOf(status);
+      replacement.appendChild(statusNode);
+    }
+
+    replaceWith(issue, replacement);
+  }
+}
+
+const DIAGRAM_CONTAINERS = [
+  '[data-macro-name="drawio"]',
+  '[data-macro-name="inc-drawio"]',
+  '[data-macro-name="gliffy"]',
+  '.drawio-macro',
+  '.gliffy-container',
+  '.gliffy-macro'
+];
+const DIAGRAM_CONTAINER_SELECTOR = DIAGRAM_CONTAINERS.join(', ');
+const DIAGRAM_IMAGE_SELECTOR = ['img.drawio-diagram-image', 'img.gliffy-image']
+  .concat(DIAGRAM_CONTAINERS.map(selector => `${selector} img`))
+  .join(', ');
+const DIAGRAM_SOURCE_EXTENSIONS = ['', '.drawio', '.drawio.xml', '.xml', '.gliffy'];
+
+function getMacroParameter(element, name) {
+  const parameters = element ? element.getAttribute('data-macro-parameters') || '' : '';
+  for (const parameter of parameters.split('|')) {
+    const [key, ...value] = parameter.split('=');
+    if (key.trim() === name && value.length) {
+      return value.join('=').trim();
+    }
+  }
+  return '';
+}
+
+function getDiagramType(image, container) {
+  const markers = [
+    image.className,
+    container && container.className,
+    container && container.getAttribute('data-macro-name')
+  ].join(' ');
+  return /gliffy/i.test(markers) ? 'gliffy' : 'drawio';
+}
+
+function findDiagramSource(attachmentNames, folder, name) {
+  const candidates = DIAGRAM_SOURCE_EXTENSIONS.map(extension => `${name}${extension}`.toLowerCase());
+  for (const candidate of candidates) {
+    const match = Object.keys(attachmentNames).find(href =>
+      href.startsWith(folder) && attachmentNames[href].toLowerCase() === candidate);
+    if (match) {
+      return match;
+    }
+  }
+  return '';
+}
+
+function rewriteDiagramMacros(document, attachmentNames) {
+  for (const image of Array.from(document.querySelectorAll(DIAGRAM_IMAGE_SELECTOR))) {
+    const container = image.closest(DIAGRAM_CONTAINER_SELECTOR);
+    const type = getDiagramType(image, container);
+    const preview = (image.getAttribute('data-image-src') || image.getAttribute('src') || '').split(/[?#]/)[0];
+    let decodedPreview = preview;
+    try {
+      decodedPreview = decodeURIComponent(preview);
+    } catch (error) {
+      decodedPreview = preview;
+    }
+    const folder = decodedPreview.startsWith('attachments/') ? decodedPreview.replace(/[^/]*$/, '') : '';
+    const name = image.getAttribute('data-diagram-name') ||
+      (container && container.getAttribute('data-diagram-name')) ||
+      getMacroParameter(container, 'diagramName') ||
+      getMacroParameter(container, 'name') ||
+      (image.getAttribute('alt') || '').trim() ||
+      (attachmentNames[decodedPreview] || '').replace(/\.png$/i, '') ||
+      'diagram';
+    const source = folder ? findDiagramSource(attachmentNames, folder, name) : '';
+    if (!(image.getAttribute('alt') || '').trim()) {
+      image.setAttribute('alt', name);
+    }
+
+    const link = document.createElement('a');
+    link.setAttribute('href', `confluence-diagram:${type}:${encodeURIComponent(source || folder)}:${encodeURIComponent(name)}`);
+    link.textContent = name;
+    const paragraph = document.createElement('p');
+    paragraph.appendChild(link);
+
+    const anchor = container || image;
+    const block = anchor.parentNode && anchor.parentNode.nodeName === 'P' ? anchor.parentNode : anchor;
+    block.parentNode.insertBefore(paragraph, block.nextSibling);
+  }
+}
+
+function rewriteExpanders(document, convertExpanders) {
+  const containers = Array.from(document.querySelectorAll('div.expand-container'));
+
+  for (const container of containers) {
+    const control = findChild(container, child => hasClass(child, 'expand-control'));
+    const content = findChild(container, child => hasClass(child, 'expand-content'));
+
+    if (!convertExpanders) {
+      if (control) {
+        control.remove();
+      }
+      const wrapper = document.createElement('div');
+      wrapper.className = 'expandable';
+      moveChildren(container, wrapper);
+      replaceWith(container, wrapper);
+      continue;
+    }
+
+    const summaryText = textOf(control && control.querySelector('.expand-control-text'));
+    let effectiveSummary = summaryText || 'Details';
+    if (/^click here/i.test(effectiveSummary)) {
+      effectiveSummary = 'Details';
+    }
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = effectiveSummary;
+    details.appendChild(summary);
+
+    if (content) {
+      const firstText = content.firstChild;
+      if (summaryText && firstText && firstText.nodeType === 3 && firstText.nodeValue.trim().startsWith(summaryText)) {
+        firstText.nodeValue = firstText.nodeValue.trim().slice(summaryText.length);
+      }
+      moveChildren(content, details);
+    }
+
+    replaceWith(container, details);
+  }
+}
+
+function removeEmptyParagraphs(document) {
+  for (const paragraph of Array.from(document.querySelectorAll('p'))) {
+    if (!paragraph.children.length && !(paragraph.textContent || '').replace(/\u00a0/g, ' ').trim()) {
+      paragraph.remove();
+    }
+  }
+}
+
+function stripStyleText(document) {
+  const visit = (node) => {
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        const cleaned = child.nodeValue
+          .replace(/\/\*<!\[CDATA\[[\s\S]*?\]\]>\*\//g, '')
+          .replace(/div\.rbtoc\d+[^}]*\{[^}]*\}/g, '');
+        if (cleaned !== child.nodeValue) {
+          child.nodeValue = cleaned;
+        }
+      } else if (child.nodeType === 1) {
+        visit(child);
+      }
+    }
+  };
+  visit(document);
+}
+
+const TABLE_STRATEGIES = ['html', 'expand', 'br'];
+const TABLE_BLOCK_ELEMENTS = new Set([
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'DETAILS', 'SUMMARY', 'SECTION'
+]);
+const HTML_TABLE_ATTRIBUTES = new Set(['rowspan', 'colspan', 'href', 'src', 'alt', 'title', 'width', 'height', 'start']);
+
+function getSpan(cell, attribute) {
+  return Math.max(1, parseInt(cell.getAttribute(attribute), 10) || 1);
+}
+
+function getTableRows(table) {
+  return Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+}
+
+function getRowCells(row) {
+  return childElements(row).filter(child => child.nodeName === 'TD' || child.nodeName === 'TH');
+}
+
+function getTableCells(table) {
+  return getTableRows(table).flatMap(getRowCells);
+}
 
-  let output = html;
+function findTableIssues(table) {
+  const reasons = new Set();
 
-  output = output.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-  output = output.replace(/\/\*<!\[CDATA\[[\s\S]*?\]\]>\*\//g, '');
-  output = output.replace(/div\.rbtoc\d+[^}]*\{[^}]*\}/g, '');
+  for (const cell of getTableCells(table)) {
+    if (getSpan(cell, 'rowspan') > 1 || getSpan(cell, 'colspan') > 1) {
+      reasons.add('merged-cells');
+    }
+    if (cell.querySelector('table')) {
+      reasons.add('nested-table');
+    }
+    if (cell.querySelector('ul, ol')) {
+      reasons.add('lists');
+    }
+    if (cell.querySelector('pre')) {
+      reasons.add('code');
+    }
+    if (cell.querySelector('h1, h2, h3, h4, h5, h6, blockquote, details, div.expandable')) {
+      reasons.add('block-content');
+    }
+    if (cell.querySelector('br') || cell.querySelectorAll('p').length > 1) {
+      reasons.add('line-breaks');
+    }
+  }
+
+  return [...reasons];
+}
+
+function expandMergedCells(document, table) {
+  const rows = getTableRows(table);
+  const grid = rows.map(() => []);
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of getRowCells(row)) {
+      while (grid[rowIndex][column]) {
+        column += 1;
+      }
+      const rowSpan = getSpan(cell, 'rowspan');
+      const colSpan = getSpan(cell, 'colspan');
+      for (let r = rowIndex; r < Math.min(rows.length, rowIndex + rowSpan); r += 1) {
+        for (let c = column; c < column + colSpan; c += 1) {
+          grid[r][c] = { cell, origin: r === rowIndex && c === column };
+        }
+      }
+      column += colSpan;
+    }
+  });
 
-  output = output.replace(/href="([^"]*\.html)"/g, (match, url) => {
-    if (url === 'index.html') {
-      return 'href="index.md"';
+  rows.forEach((row, rowIndex) => {
+    const slots = grid[rowIndex];
+    for (const cell of getRowCells(row)) {
+      cell.remove();
+    }
+    for (let column = 0; column < slots.length; column += 1) {
+      const slot = slots[column];
+      const cell = !slot
+        ? document.createElement('td')
+        : (slot.origin ? slot.cell : slot.cell.cloneNode(true));
+      row.appendChild(cell);
     }
-    return `href="${url.replace('.html', '.md')}"`;
   });
 
-  output = output.replace(/\s*data-[a-z-]+=["'][^"']*["']/gi, '');
-  output = output.replace(/<div[^>]*class="[^"]*confluence-information-macro[^"]*"[^>]*>/gi, '<div class="info-box">');
+  for (const cell of getTableCells(table)) {
+    cell.removeAttribute('rowspan');
+    cell.removeAttribute('colspan');
+  }
+}
 
-  if (convertExpanders) {
-    const expandRegex = /<div[^>]*class="[^"]*expand-container[^"]*"[^>]*>([\s\S]*?)<div[^>]*class="[^"]*expand-content[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<\/div>/gi;
-    output = output.replace(expandRegex, (match, _controlSection, contentSection) => {
-      const summaryMatch = match.match(/<span[^>]*class="[^"]*expand-control-text[^"]*"[^>]*>([\s\S]*?)<\/span>/i);
-      const summaryText = summaryMatch ? decodeEntities(stripHtmlTags(summaryMatch[1])).trim() : '';
-      let cleanedContent = contentSection.replace(/^\s+|\s+$/g, '');
+function collectCellLines(document, node, lines) {
+  let current = null;
 
-      if (summaryText && cleanedContent.startsWith(summaryText)) {
-        cleanedContent = cleanedContent.slice(summaryText.length).replace(/^\s+/, '');
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      const text = child.nodeValue.replace(/\s+/g, ' ');
+      if (!current) {
+        if (!text.trim()) {
+          continue;
+        }
+        current = [];
+        lines.push(current);
       }
+      current.push(document.createTextNode(text));
+      continue;
+    }
+
+    if (child.nodeType !== 1) {
+      continue;
+    }
+
+    const name = child.nodeName;
+    if (name === 'BR') {
+      current = null;
+      continue;
+    }
+
+    if (name === 'UL' || name === 'OL') {
+      current = null;
+      let number = parseInt(child.getAttribute('start'), 10) || 1;
+      for (const item of childElements(child).filter(element => element.nodeName === 'LI')) {
+        const itemLines = [];
+        collectCellLines(document, item, itemLines);
+        const marker = name === 'OL' ? `${number}. ` : '• ';
+        number += 1;
+        if (itemLines.length) {
+          itemLines[0].unshift(document.createTextNode(marker));
+        }
+        lines.push(...itemLines);
+      }
+      continue;
+    }
+
+    if (name === 'PRE') {
+      current = null;
+      for (const codeLine of child.textContent.replace(/\n+$/, '').split('\n')) {
+        if (!codeLine.trim()) {
+          continue;
+        }
+        const code = document.createElement('code');
+        code.textContent = codeLine;
+        lines.push([code]);
+      }
+      continue;
+    }
+
+    if (TABLE_BLOCK_ELEMENTS.has(name) && !child.getAttribute('data-callout')) {
+      current = null;
+      collectCellLines(document, child, lines);
+      continue;
+    }
+
+    if (!current) {
+      current = [];
+      lines.push(current);
+    }
+    current.push(child);
+  }
+}
+
+function flattenTableCells(document, table) {
+  for (const cell of getTableCells(table)) {
+    const lines = [];
+    collectCellLines(document, cell, lines);
+
+    while (cell.firstChild) {
+      cell.removeChild(cell.firstChild);
+    }
+
+    lines
+      .filter(line => line.some(node => node.nodeType !== 3 || node.nodeValue.trim()))
+      .forEach((line, index) => {
+        if (index > 0) {
+          cell.appendChild(document.createElement('br'));
+        }
+        for (const node of line) {
+          cell.appendChild(node);
+        }
+      });
+  }
+}
 
-      let effectiveSummary = summaryText || 'Details';
-      if (/^click here/i.test(effectiveSummary)) {
-        effectiveSummary = 'Details';
+function toHtmlTable(document, table) {
+  for (const callout of Array.from(table.querySelectorAll('div[data-callout]'))) {
+    const type = callout.getAttribute('data-callout');
+    const label = document.createElement('strong');
+    label.textContent = `${callout.getAttribute('data-callout-title') || type.charAt(0).toUpperCase() + type.slice(1)}:`;
+    const heading = document.createElement('p');
+    heading.appendChild(label);
+    const blockquote = document.createElement('blockquote');
+    blockquote.appendChild(heading);
+    moveChildren(findChild(callout, child => hasClass(child, 'info-box')) || callout, blockquote);
+    replaceWith(callout, blockquote);
+  }
+
+  for (const element of [table, ...table.querySelectorAll('*')]) {
+    for (const attribute of Array.from(element.attributes)) {
+      const keep = HTML_TABLE_ATTRIBUTES.has(attribute.name) &&
+        !((attribute.name === 'rowspan' || attribute.name === 'colspan') && getSpan(element, attribute.name) === 1);
+      if (!keep) {
+        element.removeAttribute(attribute.name);
       }
+    }
+  }
 
-      return `<details>\n<summary>${effectiveSummary}</summary>\n${cleanedContent}\n</details>`;
+  for (const pre of Array.from(table.querySelectorAll('pre'))) {
+    const codeLines = pre.textContent.replace(/\n+$/, '').split('\n');
+    while (pre.firstChild) {
+      pre.removeChild(pre.firstChild);
+    }
+    codeLines.forEach((codeLine, index) => {
+      if (index > 0) {
+        pre.appendChild(document.createElement('br'));
+      }
+      pre.appendChild(document.createTextNode(codeLine));
     });
-  } else {
-    output = output.replace(/<div[^>]*class="[^"]*expand-container[^"]*"[^>]*>/gi, '<div class="expandable">');
-    output = output.replace(/<div[^>]*class="[^"]*expand-control[^"]*"[^>]*>[\s\S]*?<\/div>/gi, '');
   }
 
-  output = output.replace(/<p>\s*<\/p>/g, '');
-  output = output.replace(/<p>\s*&nbsp;\s*<\/p>/g, '');
+  const visit = (node) => {
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        child.nodeValue = child.nodeValue.replace(/\s+/g, ' ');
+      } else if (child.nodeType === 8) {
+        child.remove();
+      } else if (child.nodeType === 1) {
+        visit(child);
+      }
+    }
+  };
+  visit(table);
 
-  return output;
+  table.setAttribute('data-html-table', '');
 }
 
-function extractBreadcrumbs(html) {
-  const match = html.match(/<ol[^>]*id="breadcrumbs"[^>]*>([\s\S]*?)<\/ol>/i);
-  if (!match) {
-    return [];
+function getTablePreview(table) {
+  const firstRow = getTableRows(table)[0];
+  const text = firstRow ? getRowCells(firstRow).map(cell => textOf(cell).replace(/\s+/g, ' ')).join(' | ') : '';
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function applyTableStrategy(document, strategy, onTableDowngraded) {
+  const tables = Array.from(document.querySelectorAll('table'))
+    .filter(table => !table.parentNode.closest('table'));
+
+  tables.forEach((table, index) => {
+    const reasons = findTableIssues(table);
+    if (!reasons.length) {
+      return;
+    }
+
+    const preview = getTablePreview(table);
+    let applied = strategy;
+
+    if (reasons.includes('nested-table')) {
+      applied = 'html';
+    } else if (strategy === 'expand') {
+      expandMergedCells(document, table);
+      flattenTableCells(document, table);
+    } else if (strategy === 'br') {
+      if (reasons.includes('merged-cells')) {
+        applied = 'html';
+      } else {
+        flattenTableCells(document, table);
+      }
+    }
+
+    if (applied === 'html') {
+      toHtmlTable(document, table);
+    }
+
+    if (onTableDowngraded) {
+      onTableDowngraded({ index: index + 1, reasons, strategy: applied, preview });
+    }
+  });
+}
+
+function findCommentsSection(document) {
+  const heading = document.querySelector('h2#comments');
+  if (!heading) {
+    return null;
+  }
+  return heading.closest('.pageSection') || heading.parentNode;
+}
+
+function removeCommentsSection(document) {
+  const heading = document.querySelector('h2#comments');
+  if (!heading) {
+    return;
   }
-  const list = match[1];
-  const results = [];
-  const linkRegex = /<a[^>]*>([\s\S]*?)<\/a>/gi;
-  let linkMatch;
-  while ((linkMatch = linkRegex.exec(list)) !== null) {
-    const textValue = decodeEntities(stripHtmlTags(linkMatch[1])).trim();
-    if (textValue) {
-      results.push(textValue);
+  const section = heading.closest('.pageSection');
+  if (section) {
+    section.remove();
+    return;
+  }
+  const next = heading.nextElementSibling;
+  if (next && next.nodeName === 'TABLE') {
+    next.remove();
+  }
+  heading.remove();
+}
+
+function removeAttachmentsSection(document) {
+  const heading = document.querySelector('h2#attachments');
+  if (!heading) {
+    return;
+  }
+  const section = heading.closest('.pageSection');
+  if (section) {
+    section.remove();
+  } else {
+    heading.remove();
+  }
+}
+
+function extractAttachmentNames(htmlOrDocument) {
+  const document = toDocument(htmlOrDocument);
+  const heading = document.querySelector('h2#attachments');
+  const section = heading && (heading.closest('.pageSection') || heading.parentNode);
+  const names = {};
+  if (!section) {
+    return names;
+  }
+
+  for (const link of Array.from(section.querySelectorAll('a[href]'))) {
+    const href = link.getAttribute('href').split(/[?#]/)[0];
+    const name = textOf(link);
+    if (href.startsWith('attachments/') && name) {
+      try {
+        names[decodeURIComponent(href)] = name;
+      } catch (error) {
+        names[href] = name;
+      }
     }
   }
-  return results;
+
+  return names;
 }
 
-function extractTitle(html) {
-  if (!html) {
-    return '';
+function extractComments(htmlOrDocument) {
+  const document = toDocument(htmlOrDocument);
+  const section = findCommentsSection(document);
+  if (!section) {
+    return [];
   }
 
-  const titleSpanMatch = html.match(/<span[^>]*id=["']title-text["'][^>]*>([\s\S]*?)<\/span>/i);
-  if (titleSpanMatch) {
-    const value = decodeEntities(stripHtmlTags(titleSpanMatch[1])).trim();
-    if (value) {
-      return value;
+  const containers = new Map();
+  for (const anchor of section.querySelectorAll('a[name^="comment-"]')) {
+    const container = anchor.closest('td') || anchor.parentNode;
+    if (!containers.has(container)) {
+      containers.set(container, {
+        id: anchor.getAttribute('name').slice('comment-'.length),
+        author: null,
+        postedOn: null,
+        html: '',
+        replies: []
+      });
     }
   }
 
-  const titleTagMatch = html.match(/<title>([\s\S]*?)<\/title>/i);
-  if (titleTagMatch) {
-    const value = decodeEntities(stripHtmlTags(titleTagMatch[1])).trim();
-    if (value) {
-      return value;
+  const roots = [];
+  for (const [container, comment] of containers.entries()) {
+    const body = container.cloneNode(true);
+    const anchors = Array.from(body.querySelectorAll('a[name^="comment-"]'));
+
+    for (const reply of anchors.slice(1)) {
+      let node = reply;
+      while (node.parentNode && node.parentNode !== body) {
+        node = node.parentNode;
+      }
+      if (node.parentNode === body) {
+        node.remove();
+      }
+    }
+    if (anchors.length) {
+      anchors[0].remove();
+    }
+
+    const posted = Array.from(body.querySelectorAll('*'))
+      .filter(element => /^\s*Posted by\b/i.test(textOf(element)))
+      .pop();
+    if (posted) {
+      const match = textOf(posted).replace(/\s+/g, ' ').match(/^Posted by (.+?)(?: at (.+))?$/i);
+      if (match) {
+        comment.author = match[1].trim();
+        comment.postedOn = match[2] ? match[2].trim() : null;
+      }
+      posted.remove();
+    }
+
+    for (const font of Array.from(body.querySelectorAll('font'))) {
+      const wrapper = document.createElement('div');
+      moveChildren(font, wrapper);
+      replaceWith(font, wrapper);
+    }
+    comment.html = body.innerHTML.trim();
+
+    let parent = container.parentNode;
+    while (parent && parent !== section && !containers.has(parent)) {
+      parent = parent.parentNode;
+    }
+    if (parent && containers.has(parent)) {
+      containers.get(parent).replies.push(comment);
+    } else {
+      roots.push(comment);
     }
   }
 
-  return '';
+  return roots;
 }
 
-function extractPageMetadata(html) {
-  if (!html) {
-    return {};
+function cleanupHtml(html, options = {}) {
+  const {
+    convertExpanders = false,
+    jiraBaseUrl = null,
+    attachmentsSection = false,
+    tableStrategy = 'html',
+    onTableDowngraded = null
+  } = options;
+  const document = toDocument(html);
+
+  for (const style of Array.from(document.querySelectorAll('style'))) {
+    style.remove();
+  }
+  removeCommentsSection(document);
+  const attachmentNames = extractAttachmentNames(document);
+  if (attachmentsSection) {
+    removeAttachmentsSection(document);
   }
+  stripStyleText(document);
 
-  const match = html.match(/<div[^>]*class=["']page-metadata["'][^>]*>([\s\S]*?)<\/div>/i);
-  if (!match) {
-    return {};
+  rewriteLinks(document);
+  rewriteCodeMacros(document);
+  rewriteJiraMacros(document, jiraBaseUrl);
+  rewriteUserLinks(document);
+  rewriteDiagramMacros(document, attachmentNames);
+  rewriteEmbeddedImages(document);
+  stripDataAttributes(document);
+  rewriteInformationMacros(document);
+
+  for (const element of Array.from(document.querySelectorAll('h2#labels, ul.label-list'))) {
+    element.remove();
   }
 
-  const text = decodeEntities(stripHtmlTags(match[1])).replace(/\s+/g, ' ').trim();
-  if (!text) {
-    return {};
+  rewriteExpanders(document, convertExpanders);
+  removeEmptyParagraphs(document);
+  applyTableStrategy(document, tableStrategy, onTableDowngraded);
+
+  return `<!DOCTYPE html>\n${document.documentElement.outerHTML}`;
+}
+
+function extractBreadcrumbLinks(html) {
+  const document = toDocument(html);
+
+  for (const selector of BREADCRUMB_SELECTORS) {
+    const container = document.querySelector(selector);
+    if (!container) {
+      continue;
+    }
+
+    const results = [];
+    for (const link of Array.from(container.querySelectorAll('a'))) {
+      const title = textOf(link);
+      if (title) {
+        results.push({
+          title,
+          href: link.getAttribute('href') || null
+        });
+      }
+    }
+    if (results.length) {
+      return results;
+    }
   }
 
+  return [];
+}
+
+function extractBreadcrumbs(html) {
+  return extractBreadcrumbLinks(html).map(link => link.title);
+}
+
+function extractTitle(html) {
+  if (!html) {
+    return '';
+  }
+
+  const document = toDocument(html);
+  return textOf(document.getElementById('title-text')) || textOf(document.querySelector('title'));
+}
+
+function parseMetadataText(text) {
   const result = {};
   const lowerText = text.toLowerCase();
   const createdPrefix = 'created by ';
+  let updateClause = lowerText.startsWith('last updated ') ? text.trim() : '';
 
   if (lowerText.startsWith(createdPrefix)) {
     let remainder = text.slice(createdPrefix.length).trim();
     const lowerRemainder = remainder.toLowerCase();
     const marker = ', last updated';
     const markerIndex = lowerRemainder.indexOf(marker);
-    let updateClause = '';
 
     if (markerIndex !== -1) {
-      result.createdBy = remainder.slice(0, markerIndex).trim();
+      const createdClause = remainder.slice(0, markerIndex).trim();
+      const createdOnIndex = createdClause.toLowerCase().lastIndexOf(' on ');
+      result.createdBy = createdOnIndex === -1 ? createdClause : createdClause.slice(0, createdOnIndex).trim();
+      if (createdOnIndex !== -1) {
+        result.createdOnRaw = createdClause.slice(createdOnIndex + 4).trim();
+      }
       updateClause = remainder.slice(markerIndex + 1).trim();
     } else {
       const onIndex = lowerRemainder.indexOf(' on ');
@@ -131,34 +1076,34 @@ function extractPageMetadata(html) {
         result.createdBy = remainder.replace(/\.$/, '').trim();
       }
     }
+  }
 
-    if (updateClause) {
-      const lowerUpdate = updateClause.toLowerCase();
+  if (updateClause) {
+    const lowerUpdate = updateClause.toLowerCase();
 
-      if (lowerUpdate.startsWith('last updated by ')) {
-        const withoutPrefix = updateClause.slice('last updated by '.length);
-        const onIndex = withoutPrefix.toLowerCase().lastIndexOf(' on ');
-        if (onIndex !== -1) {
-          result.lastUpdatedBy = withoutPrefix.slice(0, onIndex).trim();
-          const datePortion = withoutPrefix.slice(onIndex + 4).replace(/\.$/, '').trim();
-          if (datePortion) {
-            result.lastUpdatedOnRaw = datePortion;
-          }
-        } else {
-          result.lastUpdatedBy = withoutPrefix.replace(/\.$/, '').trim();
-        }
-      } else if (lowerUpdate.startsWith('last updated on ')) {
-        const datePortion = updateClause.slice('last updated on '.length).replace(/\.$/, '').trim();
+    if (lowerUpdate.startsWith('last updated by ')) {
+      const withoutPrefix = updateClause.slice('last updated by '.length);
+      const onIndex = withoutPrefix.toLowerCase().lastIndexOf(' on ');
+      if (onIndex !== -1) {
+        result.lastUpdatedBy = withoutPrefix.slice(0, onIndex).trim();
+        const datePortion = withoutPrefix.slice(onIndex + 4).replace(/\.$/, '').trim();
         if (datePortion) {
           result.lastUpdatedOnRaw = datePortion;
         }
-      } else if (lowerUpdate.startsWith('last updated ')) {
-        const onIndex = lowerUpdate.lastIndexOf(' on ');
-        if (onIndex !== -1) {
-          const datePortion = updateClause.slice(onIndex + 4).replace(/\.$/, '').trim();
-          if (datePortion) {
-            result.lastUpdatedOnRaw = datePortion;
-          }
+      } else {
+        result.lastUpdatedBy = withoutPrefix.replace(/\.$/, '').trim();
+      }
+    } else if (lowerUpdate.startsWith('last updated on ')) {
+      const datePortion = updateClause.slice('last updated on '.length).replace(/\.$/, '').trim();
+      if (datePortion) {
+        result.lastUpdatedOnRaw = datePortion;
+      }
+    } else if (lowerUpdate.startsWith('last updated ')) {
+      const onIndex = lowerUpdate.lastIndexOf(' on ');
+      if (onIndex !== -1) {
+        const datePortion = updateClause.slice(onIndex + 4).replace(/\.$/, '').trim();
+        if (datePortion) {
+          result.lastUpdatedOnRaw = datePortion;
         }
       }
     }
@@ -167,9 +1112,95 @@ function extractPageMetadata(html) {
   return result;
 }
 
+function extractPageMetadata(html) {
+  if (!html) {
+    return {};
+  }
+
+  const document = toDocument(html);
+  const text = textOf(document.querySelector('.page-metadata'));
+  if (!text) {
+    return {};
+  }
+
+  return parseMetadataText(text);
+}
+
+function extractLabels(html) {
+  if (!html) {
+    return [];
+  }
+
+  const document = toDocument(html);
+  const list = document.querySelector('ul.label-list');
+  const links = list ? list.querySelectorAll('a') : document.querySelectorAll('a[rel="tag"]');
+
+  const labels = [];
+  for (const link of Array.from(links)) {
+    const label = textOf(link);
+    if (label && !labels.includes(label)) {
+      labels.push(label);
+    }
+  }
+
+  return labels;
+}
+
+function extractJiraKeys(html) {
+  if (!html) {
+    return [];
+  }
+
+  const document = toDocument(html);
+  const main = document.querySelector('#main-content') || document;
+  const elements = Array.from(main.querySelectorAll(`span.jira-issue, ${JIRA_TABLE_SELECTOR}`))
+    .flatMap((element) => {
+      if (hasClass(element, 'jira-issue')) {
+        return [element];
+      }
+      const table = element.querySelector('table');
+      return table ? getTableCells(table).filter(cell => cell.querySelector('a[href*="/browse/"]')) : [];
+    });
+
+  const keys = [];
+  for (const element of elements) {
+    const key = getJiraKey(element);
+    if (key && !keys.includes(key)) {
+      keys.push(key);
+    }
+  }
+
+  return keys;
+}
+
+function extractHeadingAnchors(htmlOrDocument) {
+  const document = toDocument(htmlOrDocument);
+  const main = document.querySelector('#main-content') || document;
+  const anchors = [];
+
+  for (const element of Array.from(main.querySelectorAll('h1, h2, h3, h4, h5, h6, span.confluence-anchor-link[id]'))) {
+    const heading = element.closest('h1, h2, h3, h4, h5, h6');
+    anchors.push({
+      id: element.getAttribute('id') || null,
+      heading: heading === element ? textOf(heading) : null,
+      inHeading: Boolean(heading) && heading !== element
+    });
+  }
+
+  return anchors;
+}
+
 module.exports = {
+  TABLE_STRATEGIES,
+  parseHtml,
   cleanupHtml,
   extractBreadcrumbs,
+  extractBreadcrumbLinks,
   extractTitle,
-  extractPageMetadata
+  extractPageMetadata,
+  extractLabels,
+  extractComments,
+  extractJiraKeys,
+  extractAttachmentNames,
+  extractHeadingAnchors
 };
@@ -0,0 +1,6 @@
+const { convertHtmlToMarkdown, convertPage } = require('./converter');
+
+module.exports = {
+  convertHtmlToMarkdown,
+  convertPage
+};
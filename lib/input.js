@@ -0,0 +1,322 @@
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const fsNative = require('fs');
+const { pipeline, Readable, Transform } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { toPosix } = require('./utils');
+const { ENTITIES_FILE, createXmlExportSource } = require('./xml-export');
+
+const HEADER_BYTES = 512;
+const END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const ROOT_MARKERS = ['index.html', ENTITIES_FILE];
+
+function normalizeRel(rel) {
+  return toPosix(rel || '').replace(/^(?:\.\/|\/)+/, '').replace(/\/+$/, '');
+}
+
+function isSafeEntryName(name) {
+  return !name.startsWith('/') && !/^[A-Za-z]:/.test(name) && !name.split('/').includes('..');
+}
+
+function createEntry(name, directory) {
+  return {
+    name,
+    isFile: () => !directory,
+    isDirectory: () => directory
+  };
+}
+
+function createDirectorySource(rootDir) {
+  const resolve = rel => path.join(rootDir, normalizeRel(rel));
+
+  return {
+    kind: 'directory',
+    root: rootDir,
+    describe: rel => resolve(rel),
+    async list(rel = '') {
+      try {
+        return await fs.readdir(resolve(rel), { withFileTypes: true });
+      } catch (error) {
+        return [];
+      }
+    },
+    listSync(rel = '') {
+      try {
+        return fsNative.readdirSync(resolve(rel), { withFileTypes: true });
+      } catch (error) {
+        return [];
+      }
+    },
+    exists: rel => fs.pathExists(resolve(rel)),
+    existsSync: rel => fsNative.existsSync(resolve(rel)),
+    async stat(rel) {
+      const { size } = await fs.stat(resolve(rel));
+      return { size };
+    },
+    readFile: (rel, encoding) => fs.readFile(resolve(rel), encoding),
+    readHeaderSync(rel, length = HEADER_BYTES) {
+      try {
+        const fd = fsNative.openSync(resolve(rel), 'r');
+        try {
+          const buffer = Buffer.alloc(length);
+          const bytesRead = fsNative.readSync(fd, buffer, 0, length, 0);
+          return buffer.subarray(0, bytesRead);
+        } finally {
+          fsNative.closeSync(fd);
+        }
+      } catch (error) {
+        return null;
+      }
+    },
+    createReadStream: rel => fsNative.createReadStream(resolve(rel)),
+    async copyFile(rel, destPath) {
+      await fs.ensureDir(path.dirname(destPath));
+      await fs.copy(resolve(rel), destPath);
+    },
+    async close() {}
+  };
+}
+
+function limitSize(size, rel) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      callback(total > size ? new Error(`ZIP entry ${rel} is larger than its declared size`) : null, chunk);
+    }
+  });
+}
+
+function readAt(fd, length, position) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fsNative.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function readZipDirectory(fd, fileSize) {
+  const tail = readAt(fd, Math.min(fileSize, 0xffff + 22), Math.max(0, fileSize - 0xffff - 22));
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i -= 1) {
+    if (tail.readUInt32LE(i) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a ZIP archive (no end of central directory record)');
+  }
+
+  let entryCount = tail.readUInt16LE(end + 10);
+  let directorySize = tail.readUInt32LE(end + 12);
+  let directoryOffset = tail.readUInt32LE(end + 16);
+  if (end >= 20 && tail.readUInt32LE(end - 20) === ZIP64_LOCATOR) {
+    const record = readAt(fd, 56, Number(tail.readBigUInt64LE(end - 12)));
+    if (record.length === 56 && record.readUInt32LE(0) === ZIP64_END_OF_DIRECTORY) {
+      entryCount = Number(record.readBigUInt64LE(32));
+      directorySize = Number(record.readBigUInt64LE(40));
+      directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+  }
+
+  const directory = readAt(fd, directorySize, directoryOffset);
+  const entries = new Map();
+  let offset = 0;
+  for (let i = 0; i < entryCount && offset + 46 <= directory.length; i += 1) {
+    if (directory.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new Error('corrupt ZIP central directory');
+    }
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const entry = {
+      method: directory.readUInt16LE(offset + 10),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localOffset: directory.readUInt32LE(offset + 42),
+      dataOffset: null
+    };
+    const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let cursor = extra + 4;
+        for (const field of ['size', 'compressedSize', 'localOffset']) {
+          if (entry[field] === 0xffffffff && cursor + 8 <= extra + 4 + length) {
+            entry[field] = Number(directory.readBigUInt64LE(cursor));
+            cursor += 8;
+          }
+        }
+      }
+      extra += 4 + length;
+    }
+
+    entries.set(name, entry);
+    offset = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+function detectArchiveRoot(fileNames) {
+  const markerRoots = fileNames
+    .filter(name => ROOT_MARKERS.includes(path.posix.basename(name)))
+    .map(name => path.posix.dirname(name))
+    .map(dir => (dir === '.' ? '' : dir))
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  if (markerRoots.length) {
+    return markerRoots[0];
+  }
+
+  const topLevel = new Set(fileNames.map(name => name.split('/')[0]));
+  const [onlyFolder] = topLevel;
+  return topLevel.size === 1 && fileNames.every(name => name.includes('/')) ? onlyFolder : '';
+}
+
+function createZipSource(zipPath) {
+  const fd = fsNative.openSync(zipPath, 'r');
+  let entries;
+  try {
+    entries = readZipDirectory(fd, fsNative.fstatSync(fd).size);
+  } catch (error) {
+    fsNative.closeSync(fd);
+    throw new Error(`Unable to read ${zipPath}: ${error.message}`);
+  }
+
+  const fileNames = [...entries.keys()].filter(name => !name.endsWith('/') && isSafeEntryName(name));
+  const root = detectArchiveRoot(fileNames);
+  const prefix = root ? `${root}/` : '';
+  const files = new Map();
+  const children = new Map();
+  const addChild = (dir, name, directory) => {
+    if (!children.has(dir)) {
+      children.set(dir, new Map());
+    }
+    const siblings = children.get(dir);
+    siblings.set(name, siblings.get(name) || directory);
+  };
+
+  for (const name of fileNames) {
+    if (!name.startsWith(prefix)) {
+      continue;
+    }
+    const rel = name.slice(prefix.length);
+    files.set(rel, entries.get(name));
+    const parts = rel.split('/');
+    for (let i = 0; i < parts.length; i += 1) {
+      addChild(parts.slice(0, i).join('/'), parts[i], i < parts.length - 1);
+    }
+  }
+
+  const getEntry = (rel) => {
+    const entry = files.get(normalizeRel(rel));
+    if (!entry) {
+      const error = new Error(`ENOENT: no such file in ${path.basename(zipPath)}: ${normalizeRel(rel)}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${normalizeRel(rel)}`);
+    }
+    if (entry.dataOffset === null) {
+      const header = readAt(fd, 30, entry.localOffset);
+      if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER) {
+        throw new Error(`Corrupt ZIP entry ${normalizeRel(rel)}`);
+      }
+      entry.dataOffset = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    }
+    return entry;
+  };
+
+  const list = (rel = '') => [...(children.get(normalizeRel(rel)) || new Map()).entries()]
+    .map(([name, directory]) => createEntry(name, directory));
+
+  const createReadStream = (rel) => {
+    const entry = getEntry(rel);
+    if (!entry.compressedSize) {
+      return Readable.from([]);
+    }
+    const raw = fsNative.createReadStream(zipPath, {
+      start: entry.dataOffset,
+      end: entry.dataOffset + entry.compressedSize - 1
+    });
+    return entry.method === 8 ? pipeline(raw, zlib.createInflateRaw(), limitSize(entry.size, normalizeRel(rel)), () => {}) : raw;
+  };
+
+  return {
+    kind: 'zip',
+    root: prefix ? `${zipPath}!/${root}` : zipPath,
+    describe: rel => `${zipPath}!/${prefix}${normalizeRel(rel)}`,
+    list: async rel => list(rel),
+    listSync: list,
+    exists: async rel => files.has(normalizeRel(rel)) || children.has(normalizeRel(rel)),
+    existsSync: rel => files.has(normalizeRel(rel)) || children.has(normalizeRel(rel)),
+    async stat(rel) {
+      return { size: getEntry(rel).size };
+    },
+    async readFile(rel, encoding) {
+      const entry = getEntry(rel);
+      const compressed = readAt(fd, entry.compressedSize, entry.dataOffset);
+      const content = entry.method === 8
+        ? zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(entry.size, 1) })
+        : compressed;
+      return encoding ? content.toString(encoding) : content;
+    },
+    readHeaderSync(rel, length = HEADER_BYTES) {
+      try {
+        const entry = getEntry(rel);
+        const compressed = readAt(fd, Math.min(entry.compressedSize, 64 * 1024), entry.dataOffset);
+        const content = entry.method === 8
+          ? zlib.inflateRawSync(compressed, {
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+            maxOutputLength: Math.max(entry.size, 1)
+          })
+          : compressed;
+        return content.subarray(0, length);
+      } catch (error) {
+        return null;
+      }
+    },
+    createReadStream,
+    async copyFile(rel, destPath) {
+      await fs.ensureDir(path.dirname(destPath));
+      try {
+        await pipelineAsync(createReadStream(rel), fsNative.createWriteStream(destPath));
+      } catch (error) {
+        await fs.remove(destPath);
+        throw error;
+      }
+    },
+    async close() {
+      fsNative.closeSync(fd);
+    }
+  };
+}
+
+async function openInputSource(inputPath) {
+  const stats = await fs.stat(inputPath);
+  const source = stats.isDirectory() ? createDirectorySource(inputPath) : createZipSource(inputPath);
+  if (source.existsSync('index.html') || !source.existsSync(ENTITIES_FILE)) {
+    return source;
+  }
+  try {
+    return await createXmlExportSource(source);
+  } catch (error) {
+    await source.close();
+    throw new Error(`Unable to read ${source.describe(ENTITIES_FILE)}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createDirectorySource,
+  createZipSource,
+  openInputSource
+};
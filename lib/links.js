@@ -0,0 +1,203 @@
+const { deriveIdentifierSlug, stripTitlePrefix } = require('./utils');
+
+const ANCHOR_STYLES = ['obsidian', 'github'];
+
+function normalizeTitle(title) {
+  return String(title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function decodePathSegment(segment) {
+  const value = segment.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function decodeTinyLink(tiny) {
+  const base64 = tiny.replace(/-/g, '/').replace(/_/g, '+');
+  if (!/^[A-Za-z0-9+/]{1,11}$/.test(base64)) {
+    return null;
+  }
+  const pageId = Buffer.from(`${base64.padEnd(11, 'A')}=`, 'base64').readBigUInt64LE(0);
+  return pageId ? pageId.toString() : null;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toBlockId(id) {
+  return String(id || '').replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function toObsidianHeading(text) {
+  return text.replace(/[#^|:[\]]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function toGithubSlug(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '').replace(/ /g, '-');
+}
+
+function buildHeadingIndex(anchors, options = {}) {
+  const {
+    anchorStyle = 'obsidian',
+    titlePrefix = null,
+    precedingHeadings = []
+  } = options;
+  const index = new Map();
+  const occurrences = new Map();
+
+  const formatHeading = (text) => {
+    if (anchorStyle !== 'github') {
+      return toObsidianHeading(text);
+    }
+    const base = toGithubSlug(text);
+    let slug = base;
+    while (occurrences.has(slug)) {
+      occurrences.set(base, occurrences.get(base) + 1);
+      slug = `${base}-${occurrences.get(base)}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+
+  precedingHeadings.filter(Boolean).forEach(formatHeading);
+
+  let headingFragment = null;
+  for (const { id, heading, inHeading } of anchors) {
+    let fragment = null;
+    if (heading !== null) {
+      const text = stripTitlePrefix(heading, titlePrefix) || heading;
+      headingFragment = text ? formatHeading(text) : null;
+      fragment = headingFragment;
+    } else if (inHeading) {
+      fragment = headingFragment;
+    } else if (toBlockId(id)) {
+      fragment = anchorStyle === 'github' ? toBlockId(id) : `^${toBlockId(id)}`;
+    }
+    if (id && fragment && !index.has(id.toLowerCase())) {
+      index.set(id.toLowerCase(), fragment);
+    }
+  }
+
+  return index;
+}
+
+function resolveHeadingHash(headingIndex, hash) {
+  if (!hash || !headingIndex) {
+    return hash;
+  }
+  let id = hash.slice(1);
+  try {
+    id = decodeURIComponent(id);
+  } catch (error) {
+    id = hash.slice(1);
+  }
+  const fragment = headingIndex.get(id.toLowerCase());
+  return fragment ? `#${fragment.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')}` : hash;
+}
+
+function createPageIndex({ confluenceBaseUrl = null } = {}) {
+  const baseUrl = confluenceBaseUrl ? confluenceBaseUrl.replace(/\/+$/, '') : null;
+  const baseMatch = baseUrl ? baseUrl.match(/^(?:[a-z][a-z0-9+.-]*:)?\/\/([^/]+)(\/.*)?$/i) : null;
+  const basePath = baseMatch && baseMatch[2] ? baseMatch[2] : '';
+  const absolutePattern = baseMatch
+    ? new RegExp(`^(?:https?:)?//${escapeRegExp(baseMatch[1])}(?::\\d+)?${escapeRegExp(basePath)}(?=[/?#]|$)`, 'i')
+    : null;
+  const byId = new Map();
+  const byTitle = new Map();
+  const homes = new Map();
+
+  const titleKey = (spaceKey, title) => `${spaceKey.toLowerCase()}\n${normalizeTitle(title)}`;
+
+  function add(meta, spaceKey = null) {
+    if (spaceKey && meta.sourceFile === 'index.html') {
+      homes.set(spaceKey.toLowerCase(), meta);
+      return;
+    }
+
+    const pageId = deriveIdentifierSlug(meta.sourceFile);
+    if (/^\d+$/.test(pageId || '') && !byId.has(pageId)) {
+      byId.set(pageId, meta);
+    }
+
+    if (meta.sourceFile !== 'index.html') {
+      const spaceName = meta.breadcrumbs && meta.breadcrumbs[0];
+      const titles = [meta.title];
+      if (spaceName && meta.originalTitle && meta.originalTitle.startsWith(`${spaceName} : `)) {
+        titles.push(meta.originalTitle.slice(spaceName.length + 3));
+      }
+      for (const title of titles) {
+        if (title && !byTitle.has(titleKey(spaceKey || '', title))) {
+          byTitle.set(titleKey(spaceKey || '', title), meta);
+        }
+      }
+    }
+  }
+
+  function resolveNoteFile(name) {
+    const match = name.match(/_(\d+)\.md$/);
+    if (!match) {
+      return null;
+    }
+    const meta = byId.get(match[1]);
+    if (meta) {
+      return { meta };
+    }
+    return baseUrl ? { url: `${baseUrl}/pages/viewpage.action?pageId=${match[1]}` } : null;
+  }
+
+  function findPage(sitePath) {
+    const [, pathname = '', query = ''] = sitePath.match(/^([^?#]*)(?:\?([^#]*))?/);
+    const display = pathname.match(/^\/display\/([^/]+)(?:\/([^/]*))?\/?$/);
+    if (display) {
+      const spaceKey = decodePathSegment(display[1]);
+      const title = display[2] ? decodePathSegment(display[2]) : '';
+      // A space without a key is matched by title alone.
+      return title
+        ? byTitle.get(titleKey(spaceKey, title)) || byTitle.get(titleKey('', title))
+        : homes.get(spaceKey.toLowerCase());
+    }
+    const pageIdMatch = /^\/pages\/[a-z]+\.action$/i.test(pathname) && query.match(/(?:^|&)(?:amp;)?pageId=(\d+)/);
+    const tiny = pathname.match(/^\/x\/([A-Za-z0-9_-]+)\/?$/);
+    const spacesPage = pathname.match(/^\/spaces\/[^/]+\/pages\/(\d+)(?:\/|$)/);
+    const pageId = (pageIdMatch && pageIdMatch[1]) || (tiny && decodeTinyLink(tiny[1])) || (spacesPage && spacesPage[1]);
+    return pageId ? byId.get(pageId) : undefined;
+  }
+
+  function resolveConfluenceUrl(href) {
+    let sitePath = null;
+    if (absolutePattern && absolutePattern.test(href)) {
+      sitePath = href.replace(absolutePattern, '') || '/';
+    } else if (/^\/(?!\/)/.test(href)) {
+      sitePath = basePath && href.toLowerCase().startsWith(`${basePath.toLowerCase()}/`) ? href.slice(basePath.length) : href;
+    }
+    if (!sitePath || !/^\/(?:display|pages|x|spaces)\//i.test(sitePath)) {
+      return null;
+    }
+
+    const hashIndex = sitePath.indexOf('#');
+    const hash = hashIndex === -1 ? '' : sitePath.slice(hashIndex);
+    const meta = findPage(sitePath);
+    if (meta) {
+      return { meta, hash };
+    }
+    return { url: baseUrl ? `${baseUrl}${sitePath}` : href };
+  }
+
+  return {
+    add,
+    resolveNoteFile,
+    resolveConfluenceUrl
+  };
+}
+
+module.exports = {
+  ANCHOR_STYLES,
+  toBlockId,
+  buildHeadingIndex,
+  resolveHeadingHash,
+  createPageIndex
+};
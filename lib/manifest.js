@@ -0,0 +1,101 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { isPathInside } = require('./utils');
+
+const MANIFEST_FILE = 'conversion-manifest.json';
+const MANIFEST_VERSION = 1;
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function createEmptyManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    optionsHash: null,
+    pages: {},
+    generated: []
+  };
+}
+
+async function loadManifest(mdDir, logger = console) {
+  const manifestPath = path.join(mdDir, MANIFEST_FILE);
+
+  try {
+    if (!(await fs.pathExists(manifestPath))) {
+      return null;
+    }
+    const manifest = await fs.readJson(manifestPath);
+    if (!manifest || manifest.version !== MANIFEST_VERSION || typeof manifest.pages !== 'object') {
+      logger.warn(`⚠️  Ignoring manifest with unsupported format at ${manifestPath}`);
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    logger.warn(`⚠️  Unable to read manifest at ${manifestPath}: ${error.message}`);
+    return null;
+  }
+}
+
+async function saveManifest(mdDir, manifest) {
+  const manifestPath = path.join(mdDir, MANIFEST_FILE);
+  const sortedPages = {};
+  for (const key of Object.keys(manifest.pages).sort()) {
+    sortedPages[key] = manifest.pages[key];
+  }
+  await fs.writeJson(manifestPath, { ...manifest, pages: sortedPages }, { spaces: 2 });
+  return manifestPath;
+}
+
+async function pruneEmptyDirs(startDir, stopDir) {
+  let current = startDir;
+
+  while (current && isPathInside(stopDir, current)) {
+    try {
+      const entries = await fs.readdir(current);
+      if (entries.length) {
+        return;
+      }
+      await fs.rmdir(current);
+    } catch (error) {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+async function removeOutputs(relativePaths, mdDir, stopDir, logger = console) {
+  const removed = [];
+
+  for (const relativePath of relativePaths) {
+    if (!relativePath) {
+      continue;
+    }
+    const absolutePath = path.join(mdDir, relativePath);
+    if (!isPathInside(mdDir, absolutePath)) {
+      logger.warn(`⚠️  Not removing ${relativePath}: it is outside ${mdDir}`);
+      continue;
+    }
+    try {
+      if (await fs.pathExists(absolutePath)) {
+        await fs.remove(absolutePath);
+        removed.push(relativePath);
+      }
+      await pruneEmptyDirs(path.dirname(absolutePath), stopDir);
+    } catch (error) {
+      logger.warn(`⚠️  Unable to remove ${relativePath}: ${error.message}`);
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  createEmptyManifest,
+  loadManifest,
+  saveManifest,
+  removeOutputs
+};
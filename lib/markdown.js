@@ -12,6 +12,7 @@ function fixMarkdownTables(markdown) {
     .trim();
 
   const formatRow = (cells) => `| ${cells.join(' | ')} |`;
+  const splitCells = (row) => row.split(/(?<!\\)\|/).slice(1, -1);
 
   while (i < lines.length) {
     const line = lines[i];
@@ -22,17 +23,17 @@ function fixMarkdownTables(markdown) {
       nextLine && nextLine.trim().startsWith('|') &&
       dividerPattern.test(nextLine)
     ) {
-      const columnCount = Math.max(0, nextLine.split('|').length - 2);
+      const columnCount = splitCells(nextLine).length;
       if (columnCount === 0) {
         fixed.push(line);
         i += 1;
         continue;
       }
 
-      const headerCells = line.split('|').slice(1, -1).map(cleanCell);
+      const headerCells = splitCells(line).map(cleanCell);
       fixed.push(formatRow(headerCells.map(cell => (cell.length ? cell : ''))));
 
-      const dividerCells = nextLine.split('|').slice(1, -1).map(cell => {
+      const dividerCells = splitCells(nextLine).map(cell => {
         const trimmed = cell.trim();
         if (!trimmed) {
           return '---';
@@ -49,14 +50,11 @@ function fixMarkdownTables(markdown) {
       let cellBuffer = [];
 
       while (i < lines.length && lines[i].trim().startsWith('|')) {
-        const parts = lines[i].split('|').slice(1, -1);
+        const parts = splitCells(lines[i]);
         for (const part of parts) {
           cellBuffer.push(part);
           if (cellBuffer.length === columnCount) {
-            const cleanedCells = cellBuffer.map(cleanCell);
-            if (cleanedCells.some(cell => cell.length > 0)) {
-              fixed.push(formatRow(cleanedCells.map(cell => (cell.length ? cell : ''))));
-            }
+            fixed.push(formatRow(cellBuffer.map(cleanCell)));
             cellBuffer = [];
           }
         }
@@ -73,6 +71,64 @@ function fixMarkdownTables(markdown) {
   return fixed.join('\n');
 }
 
+function placeBlockIds(markdown) {
+  const markerPattern = /%%\^([A-Za-z0-9-]+)%%/g;
+  if (!markdown.includes('%%^')) {
+    return markdown;
+  }
+
+  const placed = [];
+  let pendingId = null;
+  let tableId = null;
+
+  for (const line of markdown.split('\n')) {
+    const ids = Array.from(line.matchAll(markerPattern), match => match[1]);
+    // Drop the markers but keep one of the spaces around them, so words on either side stay apart.
+    const text = ids.length
+      ? line
+        .replace(/([ \t]*)%%\^[A-Za-z0-9-]+%%(?:[ \t]*%%\^[A-Za-z0-9-]+%%)*([ \t]*)/g, (match, before, after, offset) => (offset === 0 ? before : before || after))
+        .replace(/[ \t]+$/, '')
+      : line;
+    const trimmed = text.trim();
+    const isTableLine = trimmed.startsWith('|');
+
+    if (tableId && !isTableLine) {
+      placed.push('', `^${tableId}`);
+      tableId = null;
+    }
+
+    const blockId = pendingId || ids[0] || null;
+    if (!trimmed) {
+      pendingId = blockId;
+      if (!ids.length) {
+        placed.push(text);
+      }
+      continue;
+    }
+
+    pendingId = null;
+    if (!blockId) {
+      placed.push(text);
+    } else if (isTableLine) {
+      tableId = tableId || blockId;
+      placed.push(text);
+    } else if (/^(?:#{1,6}\s|```|~~~)/.test(trimmed)) {
+      placed.push(`^${blockId}`, '', text);
+    } else {
+      placed.push(`${text} ^${blockId}`);
+    }
+  }
+
+  if (tableId) {
+    placed.push('', `^${tableId}`);
+  }
+  if (pendingId) {
+    placed.push(`^${pendingId}`);
+  }
+
+  return placed.join('\n').replace(/\n\s*\n\s*\n/g, '\n\n');
+}
+
 function cleanupMarkdown(markdown, options = {}) {
   const {
     fixNH = false,
@@ -87,11 +143,11 @@ function cleanupMarkdown(markdown, options = {}) {
   output = output.replace(/!\[\]\(([^)]*bullet[^)]*\.gif)\)\s*\[([^\]]+)\]\(([^)]+)\)\s*\([^)]+\)/g, '![]($1) [$2]($3)');
   output = output.replace(/Document generated by Confluence.*$/gm, '');
   output = output.replace(/\[Atlassian\]\(https?:\/\/www\.atlassian\.com\/?\)/g, '');
-  output = output.replace(/\n## Comments:\n(?:\n?\|.*\|\n?)+/g, '\n');
   output = output.replace(/\u00a0/g, ' ');
   output = output.replace(/\u200b/g, '');
 
   output = fixMarkdownTables(output);
+  output = placeBlockIds(output);
 
   if (fixNH) {
     output = output.replace(/\\\[NH\\\]/g, '[NH]');
@@ -0,0 +1,240 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { sanitizeForPath, toPosix } = require('./utils');
+
+const MENTION_STYLES = ['text', 'link', 'handle'];
+const PERSON_FIELDS = ['username', 'userKey', 'name', 'handle', 'note'];
+
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function normalizeEntry(entry, fallbackUsername = null) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const normalized = {};
+  for (const field of PERSON_FIELDS) {
+    const value = entry[field];
+    if (typeof value === 'string' && value.trim()) {
+      normalized[field] = value.trim();
+    }
+  }
+  if (!normalized.username && fallbackUsername) {
+    normalized.username = fallbackUsername;
+  }
+  if (normalized.handle) {
+    normalized.handle = normalized.handle.replace(/^@/, '');
+  }
+
+  return normalized.username || normalized.userKey || normalized.name ? normalized : null;
+}
+
+async function loadPeopleFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(column => {
+      const name = column.trim().toLowerCase();
+      return PERSON_FIELDS.find(field => field.toLowerCase() === name) || null;
+    });
+    return rows
+      .map(cells => {
+        const entry = {};
+        columns.forEach((field, index) => {
+          if (field) {
+            entry[field] = cells[index];
+          }
+        });
+        return normalizeEntry(entry);
+      })
+      .filter(Boolean);
+  }
+
+  const data = JSON.parse(content);
+  if (Array.isArray(data)) {
+    return data.map(entry => normalizeEntry(entry)).filter(Boolean);
+  }
+  return Object.entries(data || {})
+    .map(([username, entry]) => normalizeEntry(typeof entry === 'string' ? { name: entry } : entry, username))
+    .filter(Boolean);
+}
+
+function createPeopleDirectory(entries = [], options = {}) {
+  const {
+    folder = 'People',
+    notesDir,
+    linkStyle = 'markdown',
+    mentionStyle = 'text'
+  } = options;
+
+  const people = [];
+  const lookup = new Map();
+
+  function register(person, key) {
+    const normalizedKey = key ? key.trim().toLowerCase() : '';
+    if (normalizedKey && !lookup.has(normalizedKey)) {
+      lookup.set(normalizedKey, person);
+    }
+  }
+
+  function add(entry) {
+    const name = entry.name || entry.username || entry.userKey;
+    const person = {
+      ...entry,
+      name,
+      outputPath: path.join(notesDir, folder, `${entry.note || sanitizeForPath(name)}.md`),
+      created: [],
+      updated: []
+    };
+    people.push(person);
+    register(person, entry.username);
+    register(person, entry.userKey);
+    register(person, name);
+    return person;
+  }
+
+  for (const entry of entries) {
+    add(entry);
+  }
+
+  function find(query) {
+    return query ? lookup.get(query.trim().toLowerCase()) || null : null;
+  }
+
+  function ensure(name) {
+    return find(name) || (name && name.trim() ? add({ name: name.trim() }) : null);
+  }
+
+  function formatHandle(person, fallback) {
+    const handle = person
+      ? person.handle || person.username || person.name
+      : fallback;
+    return `@${(handle || '').replace(/\s+/g, '')}`;
+  }
+
+  function formatWikilink(person, label, inTable = false) {
+    const target = toPosix(path.relative(notesDir, person.outputPath)).replace(/\.md$/, '');
+    const separator = inTable ? '\\|' : '|';
+    return `[[${target}${separator}${label.replace(/[[\]|]/g, '')}]]`;
+  }
+
+  function formatLink(person, { fromDir, text, inTable = false }) {
+    const label = text || person.name;
+    if (linkStyle === 'wikilink') {
+      return formatWikilink(person, label, inTable);
+    }
+    let relativePath = toPosix(path.relative(fromDir, person.outputPath));
+    if (!relativePath.startsWith('.')) {
+      relativePath = `./${relativePath}`;
+    }
+    return `[${label}](${relativePath.replace(/ /g, '%20')})`;
+  }
+
+  function formatMention(id, text, context = {}) {
+    const person = find(id) || find(text);
+    if (mentionStyle === 'handle') {
+      return formatHandle(person, id || text);
+    }
+    if (mentionStyle === 'link' && person && person.outputPath) {
+      return formatLink(person, { ...context, text: text || person.name });
+    }
+    return text || (person ? person.name : id);
+  }
+
+  // Front matter is YAML, where only wikilinks are picked up as links.
+  function formatAuthor(name) {
+    if (!name) {
+      return null;
+    }
+    const person = find(name);
+    if (mentionStyle === 'link' && person && person.outputPath) {
+      return formatWikilink(person, name);
+    }
+    return formatMention(null, name);
+  }
+
+  function buildPersonNote(person) {
+    const frontMatter = { title: person.name };
+    const aliases = [person.username, person.handle && `@${person.handle}`].filter(Boolean);
+    if (aliases.length) {
+      frontMatter.aliases = aliases;
+    }
+
+    const lines = [`---\n${yaml.dump(frontMatter, { lineWidth: -1 })}---`, '', `# ${person.name}`];
+    const addSection = (title, metas) => {
+      if (!metas.length) {
+        return;
+      }
+      lines.push('', `## ${title}`, '');
+      for (const meta of metas) {
+        lines.push(`- [${meta.title}](${meta.originalMdFile})`);
+      }
+    };
+    addSection('Created', person.created);
+    addSection('Last updated', person.updated);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    find,
+    ensure,
+    formatMention,
+    formatAuthor,
+    buildPersonNote,
+    list: () => [...people]
+  };
+}
+
+module.exports = {
+  MENTION_STYLES,
+  loadPeopleFile,
+  createPeopleDirectory
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'render-worker.js');
+
+function createWorkerPool({ size, workerData }) {
+  const idle = [];
+  const queue = [];
+  const pending = new Map();
+  const workers = new Set();
+  let nextId = 0;
+  let destroyed = false;
+
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      pending.set(worker, task);
+      worker.postMessage({ id: task.id, ...task.payload });
+    }
+  };
+
+  const spawn = () => {
+    const worker = new Worker(WORKER_SCRIPT, { workerData });
+    workers.add(worker);
+
+    worker.on('message', (message) => {
+      const task = pending.get(worker);
+      pending.delete(worker);
+      idle.push(worker);
+      if (task) {
+        if (message.error) {
+          task.reject(new Error(message.error));
+        } else {
+          task.resolve({ markdown: message.markdown, tables: message.tables, comments: message.comments });
+        }
+      }
+      dispatch();
+    });
+
+    worker.on('error', (error) => {
+      const task = pending.get(worker);
+      pending.delete(worker);
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) {
+        idle.splice(idleIndex, 1);
+      }
+      if (task) {
+        task.reject(error);
+      }
+      if (!destroyed) {
+        spawn();
+        dispatch();
+      }
+    });
+
+    idle.push(worker);
+  };
+
+  for (let i = 0; i < size; i += 1) {
+    spawn();
+  }
+
+  function run(payload) {
+    if (destroyed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+    return new Promise((resolve, reject) => {
+      nextId += 1;
+      queue.push({ id: nextId, payload, resolve, reject });
+      dispatch();
+    });
+  }
+
+  async function destroy() {
+    destroyed = true;
+    await Promise.all([...workers].map(worker => worker.terminate()));
+    workers.clear();
+  }
+
+  return {
+    run,
+    destroy
+  };
+}
+
+async function runWithConcurrency(items, limit, task) {
+  let index = 0;
+  const runners = [];
+  const runnerCount = Math.max(1, Math.min(limit, items.length));
+
+  for (let i = 0; i < runnerCount; i += 1) {
+    runners.push((async () => {
+      while (index < items.length) {
+        const item = items[index];
+        index += 1;
+        await task(item);
+      }
+    })());
+  }
+
+  await Promise.all(runners);
+}
+
+module.exports = {
+  createWorkerPool,
+  runWithConcurrency
+};
@@ -0,0 +1,20 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createPageRenderer } = require('./render');
+
+const baseOptions = workerData || {};
+const renderers = new Map();
+
+function getRenderer(titlePrefixToRemove = baseOptions.titlePrefixToRemove) {
+  if (!renderers.has(titlePrefixToRemove)) {
+    renderers.set(titlePrefixToRemove, createPageRenderer({ ...baseOptions, titlePrefixToRemove }));
+  }
+  return renderers.get(titlePrefixToRemove);
+}
+
+parentPort.on('message', ({ id, html, titlePrefixToRemove }) => {
+  try {
+    parentPort.postMessage({ id, ...getRenderer(titlePrefixToRemove)(html) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
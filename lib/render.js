@@ -0,0 +1,36 @@
+const { createTurndownService } = require('./turndown');
+const { parseHtml, cleanupHtml, extractComments } = require('./html');
+const { cleanupMarkdown } = require('./markdown');
+
+function createPageRenderer(options = {}) {
+  const { comments: commentsMode = 'drop' } = options;
+  const turndownService = createTurndownService(options);
+
+  const renderComments = (comments) => comments.map(comment => ({
+    id: comment.id,
+    author: comment.author,
+    postedOn: comment.postedOn,
+    markdown: cleanupMarkdown(turndownService.turndown(cleanupHtml(comment.html, options)), options).trim(),
+    replies: renderComments(comment.replies)
+  }));
+
+  return function renderPage(html) {
+    const document = parseHtml(html);
+    const comments = commentsMode === 'drop' ? [] : renderComments(extractComments(document));
+    const tables = [];
+    const cleanedHtml = cleanupHtml(document, {
+      ...options,
+      onTableDowngraded: table => tables.push(table)
+    });
+    const markdown = turndownService.turndown(cleanedHtml);
+    return {
+      markdown: cleanupMarkdown(markdown, options),
+      tables,
+      comments
+    };
+  };
+}
+
+module.exports = {
+  createPageRenderer
+};
@@ -0,0 +1,173 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const REPORT_FILE = 'conversion-report.json';
+const MISSING_ASSETS_FILE = 'missing-assets.txt';
+const UNRESOLVED_LINKS_FILE = 'unresolved-links.txt';
+
+function sortByPage(entries, key = 'page') {
+  return [...entries].sort((a, b) => (a[key] === b[key] ? 0 : (a[key] < b[key] ? -1 : 1)));
+}
+
+function createReport({ htmlDir, mdDir, emit = () => {} }) {
+  const startedAt = Date.now();
+  const pages = new Map();
+  const missingAssets = [];
+  const unresolvedLinks = [];
+  const slugCollisions = [];
+  const downgradedTables = [];
+  const errors = [];
+  const removed = [];
+  const timings = {};
+  let assets = null;
+  let fatal = null;
+
+  const getPage = (source) => {
+    let page = pages.get(source);
+    if (!page) {
+      page = {
+        source,
+        output: null,
+        status: 'pending',
+        durationMs: null,
+        missingAssets: [],
+        unresolvedLinks: [],
+        downgradedTables: []
+      };
+      pages.set(source, page);
+    }
+    return page;
+  };
+
+  function startTimer(name) {
+    const start = Date.now();
+    return () => {
+      timings[name] = Date.now() - start;
+    };
+  }
+
+  function recordPage(source, details = {}) {
+    const page = getPage(source);
+    Object.assign(page, details);
+    if (details.status === 'error' && details.error) {
+      errors.push({ source, message: details.error });
+    }
+    return page;
+  }
+
+  function recordMissingAsset(source, asset, kind, message = null) {
+    const entry = { page: source, asset, kind };
+    if (message) {
+      entry.message = message;
+    }
+    missingAssets.push(entry);
+    getPage(source).missingAssets.push(asset);
+    emit('asset:missing', entry);
+  }
+
+  function recordUnresolvedLink(source, target, kind = 'note') {
+    if (getPage(source).unresolvedLinks.includes(target)) {
+      return;
+    }
+    const entry = { page: source, target, kind };
+    unresolvedLinks.push(entry);
+    getPage(source).unresolvedLinks.push(target);
+    emit('link:unresolved', entry);
+  }
+
+  function recordDowngradedTable(source, table) {
+    const entry = { page: source, ...table };
+    downgradedTables.push(entry);
+    getPage(source).downgradedTables.push(table.index);
+    emit('table:downgraded', entry);
+  }
+
+  function recordSlugCollision(source, preferredSlug, slug) {
+    slugCollisions.push({ source, preferredSlug, slug });
+  }
+
+  function recordRemoved(source, output) {
+    removed.push({ source, output });
+  }
+
+  function recordAssetStats(stats) {
+    assets = stats;
+  }
+
+  function recordFatal(error) {
+    fatal = error && error.message ? error.message : String(error);
+  }
+
+  function toJSON() {
+    const pageList = [...pages.values()];
+    const countStatus = (status) => pageList.filter(page => page.status === status).length;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      htmlDir,
+      mdDir,
+      fatal,
+      summary: {
+        pages: pageList.length,
+        converted: countStatus('converted'),
+        unchanged: countStatus('unchanged'),
+        errors: errors.length,
+        removed: removed.length,
+        missingAssets: missingAssets.length,
+        unresolvedLinks: unresolvedLinks.length,
+        slugCollisions: slugCollisions.length,
+        downgradedTables: downgradedTables.length,
+        savedBytes: assets ? assets.savedBytes : 0
+      },
+      timings: {
+        ...timings,
+        totalMs: Date.now() - startedAt
+      },
+      assets,
+      pages: pageList,
+      errors: sortByPage(errors, 'source'),
+      missingAssets: sortByPage(missingAssets),
+      unresolvedLinks: sortByPage(unresolvedLinks),
+      slugCollisions,
+      downgradedTables: sortByPage(downgradedTables),
+      removed
+    };
+  }
+
+  async function write() {
+    const data = toJSON();
+    const reportPath = path.join(mdDir, REPORT_FILE);
+    const missingPath = path.join(mdDir, MISSING_ASSETS_FILE);
+    const unresolvedPath = path.join(mdDir, UNRESOLVED_LINKS_FILE);
+    const missingLines = [...new Set(missingAssets.map(entry => entry.asset))].sort();
+    const unresolvedLines = unresolvedLinks.map(entry => `${entry.page}\t${entry.target}`).sort();
+
+    await fs.ensureDir(mdDir);
+    await fs.writeJson(reportPath, data, { spaces: 2 });
+    await fs.writeFile(missingPath, missingLines.length ? `${missingLines.join('\n')}\n` : '');
+    await fs.writeFile(unresolvedPath, unresolvedLines.length ? `${unresolvedLines.join('\n')}\n` : '');
+
+    return { reportPath, missingPath, unresolvedPath, data };
+  }
+
+  return {
+    startTimer,
+    recordPage,
+    recordMissingAsset,
+    recordUnresolvedLink,
+    recordDowngradedTable,
+    recordSlugCollision,
+    recordRemoved,
+    recordAssetStats,
+    recordFatal,
+    toJSON,
+    write
+  };
+}
+
+module.exports = {
+  REPORT_FILE,
+  MISSING_ASSETS_FILE,
+  UNRESOLVED_LINKS_FILE,
+  createReport
+};
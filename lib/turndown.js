@@ -1,19 +1,146 @@
 const TurndownService = require('turndown');
 const { gfm } = require('@guyplusplus/turndown-plugin-gfm');
 const { sanitizeAssetPath } = require('./utils');
+const { toBlockId } = require('./links');
+
+const CALLOUT_LABELS = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  tip: 'Tip',
+  success: 'Success',
+  danger: 'Danger'
+};
+
+function quoteLines(text) {
+  return text
+    .split('\n')
+    .map(line => (line.trim().length ? `> ${line}` : '>'))
+    .join('\n');
+}
+
+const STATUS_COLOURS = {
+  'aui-lozenge-error': 'red',
+  'aui-lozenge-removed': 'red',
+  'aui-lozenge-current': 'yellow',
+  'aui-lozenge-moved': 'yellow',
+  'aui-lozenge-success': 'green',
+  'aui-lozenge-complete': 'blue'
+};
+
+const STATUS_STYLES = ['code', 'emoji', 'html', 'text'];
+const STATUS_EMOJI = {
+  grey: '⚪',
+  red: '🔴',
+  yellow: '🟡',
+  green: '🟢',
+  blue: '🔵'
+};
+
+function findAncestor(node, predicate) {
+  let current = node.parentNode;
+  while (current) {
+    if (predicate(current)) {
+      return current;
+    }
+    current = current.parentNode;
+  }
+  return null;
+}
+
+function isInsideTableCell(node) {
+  return Boolean(findAncestor(node, current => current.nodeName === 'TD' || current.nodeName === 'TH'));
+}
+
+function isTaskItem(node) {
+  return node.nodeName === 'LI' && node.parentNode && node.parentNode.nodeName === 'UL' &&
+    node.parentNode.classList && node.parentNode.classList.contains('inline-task-list');
+}
+
+function getUserId(node) {
+  const href = node.getAttribute('href') || '';
+  const match = href.match(/\/~([^/?#]+)/) || href.match(/[?&](?:username|userKey)=([^&#]+)/i);
+  if (!match) {
+    return '';
+  }
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+function getDimension(node, name) {
+  const value = parseInt(node.getAttribute(name), 10);
+  return value > 0 ? String(value) : '';
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function getStatusColour(node) {
+  for (const className of Array.from(node.classList || [])) {
+    if (STATUS_COLOURS[className]) {
+      return STATUS_COLOURS[className];
+    }
+  }
+  return 'grey';
+}
+
+function createTurndownService(options = {}) {
+  const {
+    calloutStyle = 'obsidian',
+    statusStyle = 'code',
+    mentionStyle = 'text',
+    linkStyle = 'markdown',
+    anchorStyle = 'obsidian'
+  } = options;
+
+  const formatAnchorMacro = (node) => {
+    const blockId = toBlockId(node.getAttribute('id'));
+    if (!blockId || node.closest('h1, h2, h3, h4, h5, h6')) {
+      return '';
+    }
+    return anchorStyle === 'github' ? `<a id="${blockId}"></a>` : `%%^${blockId}%%`;
+  };
 
-function createTurndownService() {
   const service = new TurndownService({
     headingStyle: 'atx',
     codeBlockStyle: 'fenced',
     bulletListMarker: '-',
     emDelimiter: '_',
     strongDelimiter: '**',
-    linkStyle: 'inlined'
+    linkStyle: 'inlined',
+    blankReplacement(content, node) {
+      if (node.nodeName === 'SPAN' && node.classList && node.classList.contains('confluence-anchor-link')) {
+        return formatAnchorMacro(node);
+      }
+      return node.isBlock ? '\n\n' : '';
+    }
   });
 
   gfm(service);
 
+  const formatStatus = (node) => {
+    const label = (node.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!label) {
+      return '';
+    }
+
+    const colour = getStatusColour(node);
+    if (statusStyle === 'emoji') {
+      return `${STATUS_EMOJI[colour]} ${label}`;
+    }
+    if (statusStyle === 'html') {
+      return `<span class="status status-${colour}">${label.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</span>`;
+    }
+    if (statusStyle === 'text') {
+      return label;
+    }
+    return `\`${label.replace(/`/g, '')}\``;
+  };
+
   service.addRule('confluenceEmoticon', {
     filter(node) {
       return node.nodeName === 'IMG' && node.className && node.className.includes('emoticon');
@@ -50,25 +177,176 @@ function createTurndownService() {
     }
   });
 
+  service.addRule('confluenceCallout', {
+    filter(node) {
+      return node.nodeName === 'DIV' && node.getAttribute('data-callout');
+    },
+    replacement(content, node) {
+      const type = node.getAttribute('data-callout');
+      const title = node.getAttribute('data-callout-title') || '';
+      const body = content.replace(/^\n+|\n+$/g, '');
+
+      if (isInsideTableCell(node)) {
+        const label = title || CALLOUT_LABELS[type] || 'Note';
+        const inlineBody = body.replace(/\s*\n+\s*/g, ' ').trim();
+        return inlineBody ? ` **${label}:** ${inlineBody} ` : ` **${label}** `;
+      }
+
+      let header;
+      if (calloutStyle === 'blockquote') {
+        header = `**${title || CALLOUT_LABELS[type] || 'Note'}**`;
+      } else {
+        header = title ? `[!${type}] ${title}` : `[!${type}]`;
+      }
+
+      const separator = calloutStyle === 'blockquote' ? '\n\n' : '\n';
+      const lines = body ? `${header}${separator}${body}` : header;
+      return `\n\n${quoteLines(lines)}\n\n`;
+    }
+  });
+
+  service.addRule('confluenceCodeMacro', {
+    filter(node) {
+      return node.nodeName === 'PRE' && node.className && node.className.includes('confluence-code');
+    },
+    replacement(content, node) {
+      const languageMatch = node.className.match(/language-(\S+)/);
+      const language = languageMatch ? languageMatch[1] : '';
+      const code = (node.textContent || '').replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+
+      const longestFence = (code.match(/^`{3,}/gm) || []).reduce((max, run) => Math.max(max, run.length), 0);
+      const fence = '`'.repeat(Math.max(3, longestFence + 1));
+
+      const title = node.getAttribute('title') || '';
+      const start = node.getAttribute('start');
+      let caption = '';
+      if (title) {
+        caption = start ? `**${title}** (from line ${start})\n\n` : `**${title}**\n\n`;
+      } else if (start) {
+        caption = `_From line ${start}_\n\n`;
+      }
+
+      return `\n\n${caption}${fence}${language}\n${code}\n${fence}\n\n`;
+    }
+  });
+
   service.addRule('cleanUserLinks', {
     filter(node) {
       return node.nodeName === 'A' && node.className && node.className.includes('confluence-userlink');
     },
-    replacement(content) {
+    replacement(content, node) {
+      if (mentionStyle !== 'text' && content.trim()) {
+        return `[${content.trim()}](confluence-user:${encodeURIComponent(getUserId(node))})`;
+      }
+      if (content.trim() && findAncestor(node, isTaskItem)) {
+        return `@${content.trim()}`;
+      }
       return content;
     }
   });
 
+  service.addRule('taskDueDate', {
+    filter(node) {
+      return node.nodeName === 'TIME' && Boolean(findAncestor(node, isTaskItem));
+    },
+    replacement(content, node) {
+      const dateValue = node.getAttribute('datetime') || content.trim();
+      return dateValue ? `📅 ${dateValue}` : content;
+    }
+  });
+
+  service.addRule('taskListItem', {
+    filter(node) {
+      return isTaskItem(node);
+    },
+    replacement(content, node) {
+      const checked = node.classList.contains('checked') || node.classList.contains('complete');
+      const body = content
+        .replace(/^\n+/, '')
+        .replace(/\n+$/, '\n')
+        .replace(/\n/gm, '\n    ');
+      const suffix = node.nextSibling && !/\n$/.test(body) ? '\n' : '';
+      return `- [${checked ? 'x' : ' '}] ${body}${suffix}`;
+    }
+  });
+
+  service.addRule('statusLozenge', {
+    filter(node) {
+      return node.nodeName === 'SPAN' && node.classList &&
+        (node.classList.contains('status-macro') || node.classList.contains('aui-lozenge'));
+    },
+    replacement(content, node) {
+      return formatStatus(node);
+    }
+  });
+
+  service.addRule('jiraIssue', {
+    filter(node) {
+      return node.nodeName === 'SPAN' && node.classList && node.classList.contains('confluence-jira-issue');
+    },
+    replacement(content, node) {
+      const link = node.querySelector('a[href]');
+      const key = (node.firstChild && node.firstChild.textContent || '').trim();
+      const summary = node.querySelector('.jira-summary');
+      const status = node.querySelector('.aui-lozenge');
+
+      const parts = [link ? `[${key}](${link.getAttribute('href')})` : key];
+      if (summary && summary.textContent.trim()) {
+        parts.push(`– ${service.escape(summary.textContent.replace(/\s+/g, ' ').trim())}`);
+      }
+      if (status) {
+        parts.push(formatStatus(status));
+      }
+      return parts.filter(Boolean).join(' ');
+    }
+  });
+
   service.addRule('fixAttachmentPaths', {
     filter(node) {
       return node.nodeName === 'IMG' && node.getAttribute('src') &&
         node.getAttribute('src').startsWith('attachments/');
     },
     replacement(content, node) {
-      const src = node.getAttribute('src');
-      const alt = node.getAttribute('alt') || '';
-      const sanitizedSrc = sanitizeAssetPath(src);
-      return `![${alt}](${sanitizedSrc || src})`;
+      const src = sanitizeAssetPath(node.getAttribute('src')) || node.getAttribute('src');
+      const title = (node.getAttribute('title') || '').trim();
+      const width = getDimension(node, 'width');
+      const height = getDimension(node, 'height');
+      const alt = (node.getAttribute('alt') || '').trim().replace(/[[\]]/g, '');
+
+      if (linkStyle === 'wikilink') {
+        const size = width ? `|${width}${height ? `x${height}` : ''}` : '';
+        return `![${alt.replace(/\|/g, '-')}${size}](${src})`;
+      }
+      if (width || height) {
+        const attributes = [['src', src], ['alt', alt], ['title', title], ['width', width], ['height', height]]
+          .filter(([, value]) => value)
+          .map(([name, value]) => `${name}="${escapeAttribute(value)}"`);
+        return `<img ${attributes.join(' ')}>`;
+      }
+      return title ? `![${alt}](${src} "${title.replace(/"/g, '\\"')}")` : `![${alt}](${src})`;
+    }
+  });
+
+  service.addRule('htmlTable', {
+    filter(node) {
+      return node.nodeName === 'TABLE' && node.hasAttribute('data-html-table');
+    },
+    replacement(content, node) {
+      const table = node.cloneNode(true);
+      table.removeAttribute('data-html-table');
+      const html = table.outerHTML
+        .replace(/<(thead|tbody|tfoot|tr)\b/g, '\n<$1')
+        .replace(/<\/table>$/, '\n</table>');
+      return `\n\n${html}\n\n`;
+    }
+  });
+
+  service.addRule('tableCellLineBreak', {
+    filter(node) {
+      return node.nodeName === 'BR' && isInsideTableCell(node);
+    },
+    replacement() {
+      return '<br>';
     }
   });
 
@@ -101,5 +379,6 @@ function createTurndownService() {
 }
 
 module.exports = {
+  STATUS_STYLES,
   createTurndownService
 };
@@ -55,6 +55,36 @@ function sanitizeForPath(name) {
   return slug;
 }
 
+function normalizeTag(label, prefix = null) {
+  if (!label) {
+    return null;
+  }
+
+  const normalizeSegment = (value) => value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9_\-/]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/\/{2,}/g, '/')
+    .replace(/^[-/]+|[-/]+$/g, '');
+
+  const tag = normalizeSegment(label.replace(/^#+/, ''));
+  if (!tag) {
+    return null;
+  }
+
+  const namespace = prefix ? normalizeSegment(prefix) : '';
+  const fullTag = namespace ? `${namespace}/${tag}` : tag;
+
+  if (/^[\d/]+$/.test(fullTag)) {
+    return `label-${fullTag}`;
+  }
+
+  return fullTag;
+}
+
 function ensureUniqueSlug(preferredSlug, identifierSlug, usedSlugs) {
   const candidates = [];
 
@@ -145,13 +175,45 @@ function stripTitlePrefix(value, prefix) {
   return value;
 }
 
+function normalizeLogger(logger) {
+  const noop = () => {};
+  if (!logger) {
+    return { log: noop, warn: noop, error: noop };
+  }
+  return {
+    log: typeof logger.log === 'function' ? logger.log.bind(logger) : noop,
+    warn: typeof logger.warn === 'function' ? logger.warn.bind(logger) : noop,
+    error: typeof logger.error === 'function' ? logger.error.bind(logger) : noop
+  };
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+function isPathInside(parentDir, targetPath) {
+  const relative = path.relative(parentDir, targetPath);
+  return Boolean(relative) && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
 module.exports = {
+  normalizeLogger,
   sanitizeAssetPath,
   decodeEntities,
   stripHtmlTags,
   sanitizeForPath,
+  normalizeTag,
   ensureUniqueSlug,
   deriveIdentifierSlug,
   toPosix,
-  stripTitlePrefix
+  stripTitlePrefix,
+  formatBytes,
+  isPathInside
 };
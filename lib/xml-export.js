@@ -0,0 +1,798 @@
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { parseHtml } = require('./html');
+const { sanitizeForPath } = require('./utils');
+
+const ENTITIES_FILE = 'entities.xml';
+const ENTITY_TYPES = new Set([
+  'Space',
+  'Page',
+  'Comment',
+  'Attachment',
+  'ConfluenceUserImpl',
+  'Label',
+  'Labelling'
+]);
+const STATUS_COLOURS = {
+  green: 'success',
+  red: 'error',
+  yellow: 'current',
+  blue: 'complete'
+};
+const EMOTICONS = {
+  smile: '🙂',
+  sad: '🙁',
+  cheeky: '😛',
+  laugh: '😀',
+  wink: '😉',
+  'thumbs-up': '👍',
+  'thumbs-down': '👎',
+  information: 'ℹ️',
+  tick: '✅',
+  cross: '❌',
+  warning: '⚠️',
+  plus: '➕',
+  minus: '➖',
+  question: '❓',
+  'light-on': '💡',
+  'light-off': '🌑',
+  'yellow-star': '⭐',
+  heart: '❤️'
+};
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function readText(content) {
+  let text = '';
+  let index = 0;
+  while (index < content.length) {
+    const start = content.indexOf('<![CDATA[', index);
+    if (start === -1) {
+      text += decodeXml(content.slice(index).trim());
+      break;
+    }
+    text += decodeXml(content.slice(index, start).trim());
+    const end = content.indexOf(']]>', start + 9);
+    text += content.slice(start + 9, end === -1 ? content.length : end);
+    index = end === -1 ? content.length : end + 3;
+  }
+  return text;
+}
+
+function findClosingTag(text, from, tag) {
+  const closing = `</${tag}>`;
+  let index = from;
+  for (;;) {
+    const close = text.indexOf(closing, index);
+    const cdata = text.indexOf('<![CDATA[', index);
+    if (close === -1) {
+      return -1;
+    }
+    if (cdata === -1 || cdata > close) {
+      return close;
+    }
+    const cdataEnd = text.indexOf(']]>', cdata + 9);
+    if (cdataEnd === -1) {
+      return -1;
+    }
+    index = cdataEnd + 3;
+  }
+}
+
+function parseObject(block) {
+  const object = {
+    type: block.match(/^<object\s+class="([^"]+)"/)[1],
+    id: null,
+    properties: {}
+  };
+  const tagPattern = /<(id|property|collection)\s+name="([^"]*)"[^>]*?(\/?)>/g;
+  let match;
+
+  while ((match = tagPattern.exec(block)) !== null) {
+    const [, tag, name, selfClosing] = match;
+    if (selfClosing) {
+      continue;
+    }
+    const contentEnd = findClosingTag(block, tagPattern.lastIndex, tag);
+    if (contentEnd === -1) {
+      break;
+    }
+    const content = block.slice(tagPattern.lastIndex, contentEnd);
+    if (tag === 'id' && object.id === null) {
+      object.id = readText(content);
+    } else if (tag === 'property') {
+      const reference = content.match(/<id\s+name="[^"]*">([\s\S]*?)<\/id>/);
+      object.properties[name] = reference ? readText(reference[1]) : readText(content);
+    }
+    tagPattern.lastIndex = contentEnd + tag.length + 3;
+  }
+
+  return object;
+}
+
+async function scanObjects(source, rel, onObject) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  const drain = () => {
+    let position = 0;
+    for (;;) {
+      const start = buffer.indexOf('<object ', position);
+      if (start === -1) {
+        position = Math.max(position, buffer.length - 8);
+        break;
+      }
+      const end = findClosingTag(buffer, start, 'object');
+      if (end === -1) {
+        position = start;
+        break;
+      }
+      onObject(buffer.slice(start, end + 9));
+      position = end + 9;
+    }
+    buffer = buffer.slice(position);
+  };
+
+  for await (const chunk of source.createReadStream(rel)) {
+    buffer += decoder.write(chunk);
+    drain();
+  }
+  buffer += decoder.end();
+  drain();
+}
+
+function getObjectType(block) {
+  const match = block.match(/^<object\s+class="([^"]+)"/);
+  return match ? match[1] : '';
+}
+
+function isCurrent(object) {
+  const status = object.properties.contentStatus;
+  return (!status || status === 'current') && !object.properties.originalVersion;
+}
+
+function formatXmlDate(value) {
+  return value ? value.replace(/\.\d+$/, '').trim() : '';
+}
+
+function compactTitle(value) {
+  return String(value || '').replace(/\s+/g, '');
+}
+
+async function readEntities(source) {
+  const objects = [];
+  await scanObjects(source, ENTITIES_FILE, (block) => {
+    if (ENTITY_TYPES.has(getObjectType(block))) {
+      objects.push(parseObject(block));
+    }
+  });
+
+  const byType = type => objects.filter(object => object.type === type);
+  const users = new Map(byType('ConfluenceUserImpl')
+    .map(user => [user.id, user.properties.name || user.properties.lowerName || user.id]));
+  const userName = key => (key ? users.get(key) || key : '');
+
+  const pages = new Map();
+  for (const page of byType('Page')) {
+    const status = page.properties.contentStatus;
+    if (status && status !== 'current') {
+      continue;
+    }
+    const pageId = page.properties.originalVersion || page.id;
+    const version = parseInt(page.properties.version, 10) || 0;
+    const existing = pages.get(pageId);
+    if (!existing || version > existing.version) {
+      pages.set(pageId, {
+        id: pageId,
+        contentId: page.id,
+        version,
+        title: page.properties.title || `Page ${pageId}`,
+        spaceId: page.properties.space || null,
+        parentId: page.properties.parent || null,
+        position: page.properties.position === undefined ? null : parseInt(page.properties.position, 10),
+        createdBy: userName(page.properties.creator),
+        createdOn: formatXmlDate(page.properties.creationDate),
+        lastUpdatedBy: userName(page.properties.lastModifier),
+        lastUpdatedOn: formatXmlDate(page.properties.lastModificationDate),
+        labels: [],
+        attachments: [],
+        comments: [],
+        children: [],
+        body: ''
+      });
+    }
+  }
+
+  const spaces = byType('Space');
+  const space = spaces.find(candidate => [...pages.values()].some(page => page.spaceId === candidate.id)) ||
+    spaces[0] || { id: null, properties: {} };
+  for (const [pageId, page] of pages.entries()) {
+    if (space.id && page.spaceId && page.spaceId !== space.id) {
+      pages.delete(pageId);
+    }
+  }
+
+  const labels = new Map(byType('Label')
+    .filter(label => label.properties.namespace !== 'my')
+    .map(label => [label.id, label.properties.name]));
+  for (const labelling of byType('Labelling')) {
+    const page = pages.get(labelling.properties.content);
+    const label = labels.get(labelling.properties.label);
+    if (page && label && !page.labels.includes(label)) {
+      page.labels.push(label);
+    }
+  }
+
+  for (const attachment of byType('Attachment').filter(isCurrent)) {
+    const page = pages.get(attachment.properties.containerContent || attachment.properties.content);
+    if (page) {
+      page.attachments.push({
+        id: attachment.id,
+        title: attachment.properties.title || attachment.id,
+        mediaType: attachment.properties.contentType || attachment.properties.mediaType || ''
+      });
+    }
+  }
+
+  const comments = new Map();
+  for (const comment of byType('Comment').filter(isCurrent)) {
+    comments.set(comment.id, {
+      id: comment.id,
+      pageId: comment.properties.containerContent || comment.properties.owner || comment.properties.page,
+      parentId: comment.properties.parent || null,
+      author: userName(comment.properties.creator),
+      postedOn: formatXmlDate(comment.properties.creationDate),
+      replies: [],
+      body: ''
+    });
+  }
+  for (const comment of comments.values()) {
+    const parent = comment.parentId ? comments.get(comment.parentId) : null;
+    const page = pages.get(comment.pageId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else if (page) {
+      page.comments.push(comment);
+    }
+  }
+
+  const bodyOwners = new Map();
+  for (const page of pages.values()) {
+    bodyOwners.set(page.contentId, page);
+  }
+  for (const comment of comments.values()) {
+    bodyOwners.set(comment.id, comment);
+  }
+  await scanObjects(source, ENTITIES_FILE, (block) => {
+    if (getObjectType(block) !== 'BodyContent') {
+      return;
+    }
+    const bodyContent = parseObject(block);
+    const owner = bodyOwners.get(bodyContent.properties.content);
+    if (owner) {
+      owner.body = bodyContent.properties.body || '';
+    }
+  });
+
+  const usedFiles = new Set();
+  for (const page of pages.values()) {
+    let file = `${sanitizeForPath(page.title)}_${page.id}.html`;
+    for (let counter = 2; usedFiles.has(file); counter += 1) {
+      file = `${sanitizeForPath(page.title)}-${counter}_${page.id}.html`;
+    }
+    usedFiles.add(file);
+    page.file = file;
+  }
+
+  const roots = [];
+  for (const page of pages.values()) {
+    const parent = page.parentId ? pages.get(page.parentId) : null;
+    (parent ? parent.children : roots).push(page);
+  }
+  const sortPages = (list) => {
+    list.sort((a, b) => (a.position === null ? Infinity : a.position) - (b.position === null ? Infinity : b.position) ||
+      a.title.localeCompare(b.title));
+    list.forEach(page => sortPages(page.children));
+  };
+  sortPages(roots);
+
+  return {
+    spaceName: space.properties.name || space.properties.key || 'Space',
+    spaceKey: space.properties.key || '',
+    homePageId: space.properties.homePage || null,
+    pages,
+    roots
+  };
+}
+
+function childrenNamed(element, name) {
+  return Array.from(element.childNodes).filter(child => child.nodeName && child.nodeName.toLowerCase() === name);
+}
+
+function firstChildNamed(element, name) {
+  return childrenNamed(element, name)[0] || null;
+}
+
+function moveContent(source, target) {
+  while (source && source.firstChild) {
+    target.appendChild(source.firstChild);
+  }
+  return target;
+}
+
+function createStorageConverter(model, attachmentPath) {
+  const pagesByTitle = new Map([...model.pages.values()].map(page => [page.title.toLowerCase(), page]));
+
+  const findPage = (element, currentPage) => {
+    const pageRef = element ? firstChildNamed(element, 'ri:page') : null;
+    if (!pageRef) {
+      return currentPage;
+    }
+    const spaceKey = pageRef.getAttribute('ri:space-key');
+    if (spaceKey && spaceKey !== model.spaceKey) {
+      return null;
+    }
+    return pagesByTitle.get((pageRef.getAttribute('ri:content-title') || '').toLowerCase()) || null;
+  };
+
+  const findAttachment = (reference, currentPage) => {
+    const page = findPage(reference, currentPage);
+    const fileName = reference.getAttribute('ri:filename') || '';
+    const attachment = page && page.attachments.find(candidate => candidate.title === fileName);
+    return attachment ? { page, attachment, href: attachmentPath(page, attachment) } : null;
+  };
+
+  const convertImage = (document, image, page) => {
+    const attachmentRef = firstChildNamed(image, 'ri:attachment');
+    const urlRef = firstChildNamed(image, 'ri:url');
+    const img = document.createElement('img');
+    if (attachmentRef) {
+      const found = findAttachment(attachmentRef, page);
+      const fileName = attachmentRef.getAttribute('ri:filename') || '';
+      img.className = 'confluence-embedded-image';
+      img.setAttribute('src', found ? found.href : `attachments/${page.id}/${fileName}`);
+      img.setAttribute('data-linked-resource-default-alias', fileName);
+    } else if (urlRef) {
+      img.setAttribute('src', urlRef.getAttribute('ri:value') || '');
+    }
+    for (const attribute of ['width', 'height', 'alt', 'title']) {
+      const value = image.getAttribute(`ac:${attribute}`);
+      if (value) {
+        img.setAttribute(attribute, value);
+      }
+    }
+
+    const caption = firstChildNamed(image, 'ac:caption');
+    if (!caption) {
+      const wrapper = document.createElement('span');
+      wrapper.className = 'confluence-embedded-file-wrapper';
+      wrapper.appendChild(img);
+      return wrapper;
+    }
+    const figure = document.createElement('figure');
+    const figcaption = document.createElement('figcaption');
+    figure.appendChild(img);
+    figure.appendChild(moveContent(caption, figcaption));
+    return figure;
+  };
+
+  const convertLink = (document, link, page) => {
+    const anchor = document.createElement('a');
+    const anchorName = link.getAttribute('ac:anchor');
+    const pageRef = firstChildNamed(link, 'ri:page');
+    const attachmentRef = firstChildNamed(link, 'ri:attachment');
+    const userRef = firstChildNamed(link, 'ri:user');
+    const urlRef = firstChildNamed(link, 'ri:url');
+    let text = '';
+
+    if (userRef) {
+      const username = userRef.getAttribute('ri:username') || userRef.getAttribute('ri:userkey') || '';
+      anchor.className = 'confluence-userlink user-mention';
+      anchor.setAttribute('data-username', username);
+      anchor.setAttribute('href', `/display/~${encodeURIComponent(username)}`);
+      text = username;
+    } else if (attachmentRef) {
+      const found = findAttachment(attachmentRef, page);
+      text = attachmentRef.getAttribute('ri:filename') || '';
+      anchor.setAttribute('href', found ? found.href : `attachments/${page.id}/${text}`);
+    } else if (pageRef) {
+      const target = findPage(link, page);
+      const title = pageRef.getAttribute('ri:content-title') || '';
+      const spaceKey = pageRef.getAttribute('ri:space-key') || model.spaceKey;
+      const hash = anchorName ? `#${compactTitle(title)}-${compactTitle(anchorName)}` : '';
+      anchor.setAttribute('href', target
+        ? `${target.file}${hash}`
+        : `/display/${encodeURIComponent(spaceKey)}/${encodeURIComponent(title).replace(/%20/g, '+')}${hash}`);
+      text = title;
+    } else if (urlRef) {
+      anchor.setAttribute('href', urlRef.getAttribute('ri:value') || '');
+    } else if (anchorName) {
+      anchor.setAttribute('href', `#${compactTitle(page.title)}-${compactTitle(anchorName)}`);
+      text = anchorName;
+    }
+
+    const richBody = firstChildNamed(link, 'ac:link-body');
+    const plainBody = firstChildNamed(link, 'ac:plain-text-link-body');
+    if (richBody) {
+      moveContent(richBody, anchor);
+    } else {
+      anchor.textContent = (plainBody && plainBody.textContent) || text;
+    }
+    return anchor;
+  };
+
+  const convertMacro = (document, macro, page) => {
+    const name = (macro.getAttribute('ac:name') || '').toLowerCase();
+    const parameters = {};
+    for (const parameter of childrenNamed(macro, 'ac:parameter')) {
+      parameters[(parameter.getAttribute('ac:name') || '').toLowerCase()] = parameter.textContent.trim();
+    }
+    const richBody = firstChildNamed(macro, 'ac:rich-text-body');
+    const plainBody = firstChildNamed(macro, 'ac:plain-text-body');
+    const element = (tagName, className, children = []) => {
+      const node = document.createElement(tagName);
+      if (className) {
+        node.className = className;
+      }
+      children.filter(Boolean).forEach(child => node.appendChild(child));
+      return node;
+    };
+    const textElement = (tagName, className, text) => {
+      const node = element(tagName, className);
+      node.textContent = text;
+      return node;
+    };
+
+    if (name === 'code' || name === 'noformat') {
+      const pre = textElement('pre', 'syntaxhighlighter-pre', plainBody ? plainBody.textContent : '');
+      const isCode = name === 'code';
+      if (isCode) {
+        const params = [`brush: ${parameters.language || 'none'}`, `gutter: ${parameters.linenumbers === 'true'}`];
+        if (parameters.firstline) {
+          params.push(`first-line: ${parameters.firstline}`);
+        }
+        pre.setAttribute('data-syntaxhighlighter-params', params.join('; '));
+      }
+      const prefix = isCode ? 'code' : 'preformatted';
+      return element('div', `${prefix} panel`, [
+        parameters.title ? element('div', `${prefix}Header`, [textElement('b', '', parameters.title)]) : null,
+        element('div', `${prefix}Content`, [pre])
+      ]);
+    }
+
+    if (['info', 'note', 'warning', 'tip'].includes(name)) {
+      const type = name === 'info' ? 'information' : name;
+      return element('div', `confluence-information-macro confluence-information-macro-${type}`, [
+        parameters.title ? textElement('p', 'title', parameters.title) : null,
+        moveContent(richBody, element('div', 'confluence-information-macro-body'))
+      ]);
+    }
+
+    if (name === 'panel') {
+      return element('div', 'panel', [
+        parameters.title ? element('div', 'panelHeader', [textElement('b', '', parameters.title)]) : null,
+        moveContent(richBody, element('div', 'panelContent'))
+      ]);
+    }
+
+    if (name === 'expand') {
+      return element('div', 'expand-container', [
+        element('div', 'expand-control', [textElement('span', 'expand-control-text', parameters.title || 'Click here to expand...')]),
+        moveContent(richBody, element('div', 'expand-content'))
+      ]);
+    }
+
+    if (name === 'status') {
+      const colour = STATUS_COLOURS[(parameters.colour || parameters.color || '').toLowerCase()];
+      return textElement('span', `status-macro aui-lozenge${colour ? ` aui-lozenge-${colour}` : ''}`, parameters.title || '');
+    }
+
+    if (name === 'jira' && parameters.key) {
+      const issue = textElement('span', 'jira-issue', parameters.key);
+      issue.setAttribute('data-jira-key', parameters.key);
+      return issue;
+    }
+
+    if (name === 'anchor') {
+      const anchor = element('span', 'confluence-anchor-link');
+      anchor.setAttribute('id', `${compactTitle(page.title)}-${compactTitle(parameters[''] || parameters.name)}`);
+      return anchor;
+    }
+
+    if (name === 'drawio' || name === 'inc-drawio' || name === 'gliffy') {
+      const diagramName = parameters.diagramname || parameters.name || '';
+      const preview = page.attachments.find(attachment => attachment.title === `${diagramName}.png`);
+      const container = element('div', name === 'gliffy' ? 'gliffy-container' : 'drawio-macro');
+      container.setAttribute('data-macro-name', name);
+      container.setAttribute('data-macro-parameters', `${name === 'gliffy' ? 'name' : 'diagramName'}=${diagramName}`);
+      const img = element('img', name === 'gliffy' ? 'gliffy-image' : 'drawio-diagram-image');
+      img.setAttribute('src', preview ? attachmentPath(page, preview) : `attachments/${page.id}/${diagramName}.png`);
+      img.setAttribute('alt', diagramName);
+      container.appendChild(img);
+      return container;
+    }
+
+    return richBody ? moveContent(richBody, element('div', `confluence-macro-${name}`)) : null;
+  };
+
+  const convertTaskList = (document, list) => {
+    const ul = document.createElement('ul');
+    ul.className = 'inline-task-list';
+    for (const task of childrenNamed(list, 'ac:task')) {
+      const li = document.createElement('li');
+      const status = firstChildNamed(task, 'ac:task-status');
+      if (status && status.textContent.trim() === 'complete') {
+        li.className = 'checked';
+      }
+      moveContent(firstChildNamed(task, 'ac:task-body'), li);
+      ul.appendChild(li);
+    }
+    return ul;
+  };
+
+  return function storageToHtml(storage, page) {
+    const prepared = String(storage || '')
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => escapeHtml(text))
+      .replace(/<((?:ac|ri):[a-z-]+)([^>]*?)\/>/gi, '<$1$2></$1>');
+    const document = parseHtml(`<div id="storage-root">${prepared}</div>`);
+    const root = document.getElementById('storage-root');
+
+    const replace = (tagName, convert) => {
+      for (const node of Array.from(root.getElementsByTagName(tagName)).reverse()) {
+        const replacement = convert(node);
+        if (replacement) {
+          node.parentNode.replaceChild(replacement, node);
+        } else {
+          node.remove();
+        }
+      }
+    };
+
+    replace('ac:task-list', node => convertTaskList(document, node));
+    replace('ac:structured-macro', node => convertMacro(document, node, page));
+    replace('ac:macro', node => convertMacro(document, node, page));
+    replace('ac:image', node => convertImage(document, node, page));
+    replace('ac:link', node => convertLink(document, node, page));
+    replace('ac:emoticon', (node) => {
+      const img = document.createElement('img');
+      const emoticon = node.getAttribute('ac:name') || '';
+      img.className = `emoticon emoticon-${emoticon}`;
+      img.setAttribute('alt', node.getAttribute('ac:emoji-fallback') || EMOTICONS[emoticon] || `(${emoticon})`);
+      return img;
+    });
+    replace('ac:placeholder', () => null);
+
+    for (const element of Array.from(root.getElementsByTagName('*')).reverse()) {
+      const tagName = element.nodeName.toLowerCase();
+      if (tagName.startsWith('ri:')) {
+        element.remove();
+      } else if (tagName.startsWith('ac:')) {
+        const wrapper = document.createElement('div');
+        element.parentNode.replaceChild(moveContent(element, wrapper), element);
+      }
+    }
+
+    for (const heading of Array.from(root.querySelectorAll('h1, h2, h3, h4, h5, h6'))) {
+      if (!heading.getAttribute('id')) {
+        heading.setAttribute('id', `${compactTitle(page.title)}-${compactTitle(heading.textContent)}`);
+      }
+    }
+
+    return root.innerHTML;
+  };
+}
+
+function renderDocument({ title, breadcrumbs, metadata, body, sections = '' }) {
+  const crumbs = breadcrumbs
+    .map((crumb, index) => `<li${index ? '' : ' class="first"'}><span><a href="${escapeHtml(crumb.file)}">${escapeHtml(crumb.title)}</a></span></li>`)
+    .join('\n');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><title>${escapeHtml(title)}</title><meta http-equiv="Content-Type" content="text/html; charset=UTF-8"></head>`,
+    '<body class="theme-default aui-theme-default"><div id="page"><div id="main" class="aui-page-panel">',
+    `<div id="main-header"><div id="breadcrumb-section"><ol id="breadcrumbs">${crumbs}</ol></div>`,
+    `<h1 id="title-heading" class="pagetitle"><span id="title-text">${escapeHtml(title)}</span></h1></div>`,
+    '<div id="content" class="view">',
+    metadata ? `<div class="page-metadata">${metadata}</div>` : '',
+    `<div id="main-content" class="wiki-content group">${body}</div>`,
+    sections,
+    '</div></div></div></body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function renderMetadata(page) {
+  const onDate = date => (date ? ` on ${escapeHtml(date)}` : '');
+  let updated = '';
+  if (page.lastUpdatedBy && !(page.lastUpdatedBy === page.createdBy && page.lastUpdatedOn === page.createdOn)) {
+    updated = `updated by <span class='editor'>${escapeHtml(page.lastUpdatedBy)}</span>${onDate(page.lastUpdatedOn)}`;
+  } else if (page.lastUpdatedOn && page.lastUpdatedOn !== page.createdOn) {
+    updated = `updated${onDate(page.lastUpdatedOn)}`;
+  }
+
+  if (!page.createdBy) {
+    return updated ? `Last ${updated}` : '';
+  }
+  const created = `Created by <span class='author'>${escapeHtml(page.createdBy)}</span>${onDate(page.createdOn)}`;
+  return updated ? `${created}, last ${updated}` : created;
+}
+
+function renderPageTree(pages) {
+  if (!pages.length) {
+    return '';
+  }
+  const items = pages
+    .map(page => `<li><a href="${escapeHtml(page.file)}">${escapeHtml(page.title)}</a>${renderPageTree(page.children)}</li>`)
+    .join('');
+  return `<ul>${items}</ul>`;
+}
+
+async function createXmlExportSource(base) {
+  const model = await readEntities(base);
+  const pagesByFile = new Map([...model.pages.values()].map(page => [page.file, page]));
+  const attachmentPages = new Map([...model.pages.values()]
+    .filter(page => page.attachments.length)
+    .map(page => [page.id, page]));
+  const attachmentPath = (page, attachment) =>
+    `attachments/${page.id}/${attachment.id}${path.extname(attachment.title).toLowerCase()}`;
+  const storageToHtml = createStorageConverter(model, attachmentPath);
+
+  const resolveAttachment = (rel) => {
+    const match = rel.match(/^attachments\/([^/]+)\/([^/.]+)(\.[^/]*)?$/);
+    const page = match && attachmentPages.get(match[1]);
+    if (!page || !page.attachments.some(attachment => attachment.id === match[2])) {
+      return rel;
+    }
+    const folder = `attachments/${match[1]}/${match[2]}`;
+    const versions = base.listSync(folder)
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+      .sort((a, b) => (parseInt(b, 10) || 0) - (parseInt(a, 10) || 0));
+    return versions.length ? `${folder}/${versions[0]}` : folder;
+  };
+  const normalize = rel => String(rel || '').replace(/\\/g, '/').replace(/^(?:\.\/|\/)+/, '').replace(/\/+$/, '');
+
+  const renderComments = comments => comments.map(comment => [
+    '<table><tbody><tr><td>',
+    `<a name="comment-${escapeHtml(comment.id)}"></a>`,
+    `<font class="smallfont">${storageToHtml(comment.body, model.pages.get(comment.pageId))}</font>`,
+    `<div class="smallfont">Posted by ${escapeHtml(comment.author || 'Unknown')}${comment.postedOn ? ` at ${escapeHtml(comment.postedOn)}` : ''}</div>`,
+    comment.replies.length ? `<div style="margin-left: 2em">${renderComments(comment.replies)}</div>` : '',
+    '</td></tr></tbody></table>'
+  ].join('\n')).join('\n');
+
+  const renderPage = (page) => {
+    const breadcrumbs = [{ title: model.spaceName, file: 'index.html' }];
+    const ancestors = [];
+    for (let parent = model.pages.get(page.parentId); parent && !ancestors.includes(parent); parent = model.pages.get(parent.parentId)) {
+      ancestors.unshift(parent);
+    }
+    breadcrumbs.push(...ancestors.map(ancestor => ({ title: ancestor.title, file: ancestor.file })));
+
+    const sections = [];
+    if (page.attachments.length) {
+      const links = page.attachments
+        .map(attachment => `<a href="${escapeHtml(attachmentPath(page, attachment))}">${escapeHtml(attachment.title)}</a>${attachment.mediaType ? ` (${escapeHtml(attachment.mediaType)})` : ''}<br/>`)
+        .join('\n');
+      sections.push(`<div class="pageSection group"><div class="pageSectionHeader"><h2 id="attachments" class="pageSectionTitle">Attachments:</h2></div><div class="greybox" align="left">\n${links}\n</div></div>`);
+    }
+    if (page.labels.length) {
+      const labels = page.labels
+        .map(label => `<li class="aui-label"><a class="aui-label-split-main" rel="tag">${escapeHtml(label)}</a></li>`)
+        .join('');
+      sections.push(`<div class="labels-content"><h2 id="labels">Labels:</h2><ul class="label-list">${labels}</ul></div>`);
+    }
+    if (page.comments.length) {
+      sections.push(`<div class="pageSection"><div class="pageSectionHeader"><h2 id="comments" class="pageSectionTitle">Comments:</h2></div>\n${renderComments(page.comments)}\n</div>`);
+    }
+
+    return renderDocument({
+      title: `${model.spaceName} : ${page.title}`,
+      breadcrumbs,
+      metadata: renderMetadata(page),
+      body: storageToHtml(page.body, page),
+      sections: sections.join('\n')
+    });
+  };
+
+  const renderIndex = () => renderDocument({
+    title: model.spaceName,
+    breadcrumbs: [],
+    metadata: '',
+    body: `<h2>Available Pages:</h2>${renderPageTree(model.roots)}`
+  });
+
+  const readVirtual = (rel) => {
+    if (rel === 'index.html') {
+      return renderIndex();
+    }
+    const page = pagesByFile.get(rel);
+    return page ? renderPage(page) : null;
+  };
+
+  const createEntry = (name, directory) => ({
+    name,
+    isFile: () => !directory,
+    isDirectory: () => directory
+  });
+  const list = (rel = '') => {
+    const dir = normalize(rel);
+    if (!dir) {
+      return [createEntry('index.html', false)]
+        .concat([...pagesByFile.keys()].map(file => createEntry(file, false)))
+        .concat(attachmentPages.size ? [createEntry('attachments', true)] : []);
+    }
+    if (dir === 'attachments') {
+      return [...attachmentPages.keys()].map(pageId => createEntry(pageId, true));
+    }
+    const match = dir.match(/^attachments\/([^/]+)$/);
+    const page = match && attachmentPages.get(match[1]);
+    return page
+      ? page.attachments.map(attachment => createEntry(path.posix.basename(attachmentPath(page, attachment)), false))
+      : [];
+  };
+  const isVirtualDir = rel => !normalize(rel) || normalize(rel) === 'attachments' ||
+    attachmentPages.has((normalize(rel).match(/^attachments\/([^/]+)$/) || [])[1]);
+  const existsSync = (rel) => {
+    const normalized = normalize(rel);
+    return normalized === 'index.html' || pagesByFile.has(normalized) || isVirtualDir(normalized) ||
+      base.existsSync(resolveAttachment(normalized));
+  };
+
+  return {
+    kind: 'xml',
+    root: base.root,
+    spaceKey: model.spaceKey || null,
+    describe: rel => base.describe(resolveAttachment(normalize(rel))),
+    list: async rel => list(rel),
+    listSync: list,
+    exists: async rel => existsSync(rel),
+    existsSync,
+    async stat(rel) {
+      const html = readVirtual(normalize(rel));
+      return html === null ? base.stat(resolveAttachment(normalize(rel))) : { size: Buffer.byteLength(html) };
+    },
+    async readFile(rel, encoding) {
+      const html = readVirtual(normalize(rel));
+      if (html === null) {
+        return base.readFile(resolveAttachment(normalize(rel)), encoding);
+      }
+      return encoding ? html : Buffer.from(html);
+    },
+    readHeaderSync: (rel, length) => base.readHeaderSync(resolveAttachment(normalize(rel)), length),
+    createReadStream: rel => base.createReadStream(resolveAttachment(normalize(rel))),
+    copyFile: (rel, destPath) => base.copyFile(resolveAttachment(normalize(rel)), destPath),
+    close: () => base.close()
+  };
+}
+
+module.exports = {
+  ENTITIES_FILE,
+  readEntities,
+  createXmlExportSource
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace
+} = require('./helpers');
+const { convertPage } = require('../lib');
+const { buildHeadingIndex, resolveHeadingHash } = require('../lib/links');
+
+const anchor = id => `<span class="confluence-anchor-link" id="${id}"></span>`;
+
+test('anchor macros become block ids without merging the words around them', () => {
+  assert.equal(convertPage(`<p>foo ${anchor('X-a')}bar</p>`), 'foo bar ^X-a\n');
+  assert.equal(convertPage(`<p>foo${anchor('X-a')} bar</p>`), 'foo bar ^X-a\n');
+  assert.equal(convertPage(`<p>foo ${anchor('X-a')} ${anchor('X-b')} bar</p>`), 'foo bar ^X-a\n');
+  assert.equal(convertPage(`<p>${anchor('X-a')}Start here</p><p>Next.</p>`), 'Start here ^X-a\n\nNext.\n');
+  assert.equal(convertPage(`<p>Ends here ${anchor('X-a')}</p>`), 'Ends here ^X-a\n');
+});
+
+test('block ids inside tables go below the table', () => {
+  assert.equal(
+    convertPage(`<table><tbody><tr><th>A${anchor('X-t')}</th></tr><tr><td>1</td></tr></tbody></table><p>After.</p>`),
+    '| A |\n| --- |\n| 1 |\n\n^X-t\n\nAfter.\n'
+  );
+});
+
+test('anchorStyle github keeps anchor macros as HTML anchors', () => {
+  assert.equal(convertPage(`<p>foo ${anchor('X-a')}bar</p>`, { anchorStyle: 'github' }), 'foo <a id="X-a"></a>bar\n');
+});
+
+test('Confluence heading anchors translate to the renderer heading format', () => {
+  const anchors = [
+    { id: 'Home-Setup&Run(2)', heading: 'Setup & Run (2)', inHeading: false },
+    { id: 'Home-Setup&Run(2).1', heading: 'Setup & Run (2)', inHeading: false },
+    { id: 'Home-a', heading: null, inHeading: false }
+  ];
+
+  const obsidian = buildHeadingIndex(anchors);
+  assert.equal(resolveHeadingHash(obsidian, '#Home-Setup%26Run(2)'), '#Setup%20&%20Run%20%282%29');
+  assert.equal(resolveHeadingHash(obsidian, '#Home-a'), '#^Home-a');
+  assert.equal(resolveHeadingHash(obsidian, '#Home-Unknown'), '#Home-Unknown');
+
+  const github = buildHeadingIndex(anchors, { anchorStyle: 'github' });
+  assert.equal(resolveHeadingHash(github, '#Home-Setup&Run(2)'), '#setup--run-2');
+  assert.equal(resolveHeadingHash(github, '#Home-Setup&Run(2).1'), '#setup--run-2-1');
+  assert.equal(resolveHeadingHash(github, '#Home-a'), '#Home-a');
+});
+
+test('page links keep their deep link in both anchor styles', async (t) => {
+  const files = createSpace({
+    'Docs_300.html': renderPage({
+      title: 'Docs',
+      breadcrumbs: HOME_CRUMBS,
+      body: `<p>${anchor('Docs-top')}Top.</p><p><a href="Child_200.html#Child-Setup">setup</a> <a href="#Docs-top">top</a></p>`
+    })
+  });
+
+  const obsidian = await createWorkspace(t, files);
+  await obsidian.convert();
+  const obsidianNote = await obsidian.readNote('Demo-Space/Docs.md');
+  assert.match(obsidianNote, /^Top\. \^Docs-top$/m);
+  assert.match(obsidianNote, /^\[setup\]\(\.\/Home\/Child\.md#Setup\) \[top\]\(#\^Docs-top\)$/m);
+
+  const github = await createWorkspace(t, files);
+  await github.convert({ anchorStyle: 'github' });
+  assert.match(await github.readNote('Demo-Space/Docs.md'), /^\[setup\]\(\.\/Home\/Child\.md#setup\) \[top\]\(#Docs-top\)$/m);
+});
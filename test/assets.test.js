@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHILD_CRUMBS,
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+function createLinkSpace() {
+  return createSpace({
+    'Docs_300.html': renderPage({
+      title: 'Docs',
+      breadcrumbs: HOME_CRUMBS,
+      body: [
+        '<p><a href="Child_200.html#Child-Setup">setup</a> and <a href="Home_100.html">Home</a></p>',
+        '<p><a href="Runbook_400.html#Runbook-Setup(Linux)">linux setup</a></p>',
+        '<p><img class="confluence-embedded-image" src="attachments/300/900.png"> <a href="attachments/300/901.pdf">manual.pdf</a></p>',
+        '<table><tbody><tr><th>Page</th></tr><tr><td><a href="Child_200.html">the | child</a></td></tr></tbody></table>'
+      ].join('\n')
+    }),
+    'Runbook_400.html': renderPage({
+      title: 'Runbook',
+      breadcrumbs: CHILD_CRUMBS,
+      body: '<h2 id="Runbook-Setup(Linux)">Setup (Linux)</h2><p><img src="attachments/400/900.png"></p>'
+    }),
+    'attachments/300/900.png': 'docs image',
+    'attachments/300/901.pdf': 'manual',
+    'attachments/400/900.png': 'runbook image'
+  });
+}
+
+test('wikilink mode links notes, headings and attachments by name', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  await workspace.convert({ linkStyle: 'wikilink' });
+
+  const docs = stripFrontMatter(await workspace.readNote('Demo-Space/Docs.md'));
+  assert.match(docs, /^- \[\[Space\|Demo Space\]\]$/m);
+  assert.match(docs, /^\[\[Child#Setup\|setup\]\] and \[\[Home\]\]$/m);
+  assert.match(docs, /^\[\[Runbook#Setup \(Linux\)\|linux setup\]\]$/m);
+  assert.match(docs, /\[\[901\.pdf\|manual\.pdf\]\]/);
+
+  const child = stripFrontMatter(await workspace.readNote('Demo-Space/Home/Child.md'));
+  assert.match(child, /^Back to \[\[Home\|home\]\]\.$/m);
+});
+
+test('wikilink mode escapes pipes inside tables', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  await workspace.convert({ linkStyle: 'wikilink' });
+
+  const docs = await workspace.readNote('Demo-Space/Docs.md');
+  assert.match(docs, /^\| \[\[Child\\\|the \\\| child\]\] \|$/m);
+});
+
+test('wikilinks use the vault path when two files share a name', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  await workspace.convert({ linkStyle: 'wikilink' });
+
+  const docs = await workspace.readNote('Demo-Space/Docs.md');
+  const runbook = await workspace.readNote('Demo-Space/Home/Runbook.md');
+  assert.match(docs, /!\[\[Demo-Space\/_media\/attachments\/300\/900\.png\]\]/);
+  assert.match(runbook, /!\[\[Demo-Space\/Home\/_media\/attachments\/400\/900\.png\]\]/);
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/900.png'), true);
+});
+
+test('markdown mode writes relative links for the same pages', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  await workspace.convert();
+
+  const docs = stripFrontMatter(await workspace.readNote('Demo-Space/Docs.md'));
+  assert.match(docs, /^\[setup\]\(\.\/Home\/Child\.md#Setup\) and \[Home\]\(\.\/Home\.md\)$/m);
+  assert.match(docs, /^\[linux setup\]\(\.\/Home\/Runbook\.md#Setup%20%28Linux%29\)$/m);
+  assert.match(docs, /!\[900\]\(\.\/_media\/attachments\/300\/900\.png\) \[manual\.pdf\]\(\.\/_media\/attachments\/300\/901\.pdf\)/);
+  assert.doesNotMatch(docs, /\[\[/);
+});
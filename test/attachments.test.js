@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const ATTACHMENT_LIST = '<div class="pageSection group"><div class="pageSectionHeader"><h2 id="attachments" class="pageSectionTitle">Attachments:</h2></div>' +
+  '<div class="greybox" align="left"><img src="images/icons/bullet_blue.gif" height="8" width="8" alt=""> <a href="attachments/300/11.pdf">spec.pdf</a> (application/pdf)<br>' +
+  '<img src="images/icons/bullet_blue.gif" height="8" width="8" alt=""> <a href="attachments/300/12">screen | shot.png</a> (image/png)<br></div></div>';
+
+function createFilesSpace() {
+  return createSpace({
+    'Files_300.html': renderPage({
+      title: 'Files',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p>See <a href="attachments/300/11.pdf">the spec</a>.</p>',
+      sections: ATTACHMENT_LIST
+    }),
+    'attachments/300/11.pdf': '%PDF-1.4 spec',
+    'attachments/300/12': PNG_BYTES,
+    'attachments/300/notes.txt': 'x'.repeat(2048),
+    'images/icons/bullet_blue.gif': 'gif'
+  });
+}
+
+test('only linked attachments are copied by default', async (t) => {
+  const workspace = await createWorkspace(t, createFilesSpace());
+  await workspace.convert();
+
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Files.md'), /\| File \| Size \| Type \|/);
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/notes.txt'), false);
+});
+
+test('attachmentsSection copies every attachment and lists it with size and type', async (t) => {
+  const workspace = await createWorkspace(t, createFilesSpace());
+  await workspace.convert({ attachmentsSection: true });
+
+  assert.equal(
+    stripFrontMatter(await workspace.readNote('Demo-Space/Files.md')).split('# Files')[1],
+    '\n\n\nSee [the spec](./_media/attachments/300/11.pdf).\n\n## Attachments\n\n' +
+      '| File | Size | Type |\n| --- | --- | --- |\n' +
+      '| [spec.pdf](./_media/attachments/300/11.pdf) | 13 B | PDF |\n' +
+      '| [screen \\| shot.png](./_media/attachments/300/12.png) | 11 B | PNG |\n' +
+      '| [notes.txt](./_media/attachments/300/notes.txt) | 2.0 KB | TXT |\n'
+  );
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/300/notes.txt'), 'x'.repeat(2048));
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/12.png'), true);
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Files.md'), /bullet_blue|Attachments:/);
+});
+
+test('attachment tables escape wikilink pipes and follow the dedupe store', async (t) => {
+  const wikilinks = await createWorkspace(t, createFilesSpace());
+  await wikilinks.convert({ attachmentsSection: true, linkStyle: 'wikilink' });
+
+  assert.match(
+    await wikilinks.readNote('Demo-Space/Files.md'),
+    /\| \[\[11\.pdf\\\|spec\.pdf\]\] \| 13 B \| PDF \|\n\| \[\[12\.png\\\|screen \\\| shot\.png\]\] \| 11 B \| PNG \|\n\| \[\[notes\.txt\]\] \| 2\.0 KB \| TXT \|\n$/
+  );
+
+  const deduped = await createWorkspace(t, createFilesSpace());
+  await deduped.convert({ attachmentsSection: true, dedupeAssets: 'name' });
+
+  assert.match(await deduped.readNote('Demo-Space/Files.md'), /^\| \[notes\.txt\]\(\.\.\/_media\/attachments\/notes\.txt\) \| 2\.0 KB \| TXT \|$/m);
+  assert.equal(await deduped.exists('notes/_media/attachments/notes.txt'), true);
+});
+
+test('pages without an attachment folder get no section', async (t) => {
+  const workspace = await createWorkspace(t, createFilesSpace());
+  await workspace.convert({ attachmentsSection: true });
+
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Home.md'), /## Attachments/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { extractComments } = require('../lib/html');
+
+function posted(author, postedOn) {
+  return `<div class="smallfont" align="left"><img src="images/icons/contenttypes/comment_16.png" height="16" width="16"> Posted by ${author} at ${postedOn}</div>`;
+}
+
+const COMMENTS = '<div class="pageSection group"><div class="pageSectionHeader"><h2 id="comments" class="pageSectionTitle">Comments:</h2></div>' +
+  '<table border="0" width="100%"><tbody>' +
+  `<tr><td><a name="comment-1001"></a><p>Looks <strong>good</strong>.</p>${posted('Ada Lovelace', 'Jan 05, 2020 14:30')}` +
+  '<div style="margin-left: 20px"><table border="0" width="100%"><tbody><tr><td><a name="comment-1002"></a>' +
+  `<p>Agreed.</p>${posted('Charles Babbage', 'Jan 06, 2020')}</td></tr></tbody></table></div></td></tr>` +
+  `<tr><td><a name="comment-1003"></a><p>Second thread.</p>${posted('Grace Hopper', 'Feb 01, 2020 09:05')}</td></tr>` +
+  '</tbody></table></div>';
+
+const THREADS = '> **Ada Lovelace** · 2020-01-05 14:30\n>\n> Looks **good**.\n>\n' +
+  '> > **Charles Babbage** · 2020-01-06\n> >\n> > Agreed.\n\n' +
+  '> **Grace Hopper** · 2020-02-01 09:05\n>\n> Second thread.\n';
+
+function createCommentSpace() {
+  return createSpace({
+    'Talk_300.html': renderPage({ title: 'Talk', breadcrumbs: HOME_CRUMBS, body: '<p>Body.</p>', sections: COMMENTS })
+  });
+}
+
+test('extractComments reads authors, dates and reply nesting', () => {
+  const comments = extractComments(renderPage({ title: 'Talk', sections: COMMENTS }));
+
+  assert.deepEqual(comments.map(({ id, author, postedOn, replies }) => ({ id, author, postedOn, replies: replies.map(reply => reply.id) })), [
+    { id: '1001', author: 'Ada Lovelace', postedOn: 'Jan 05, 2020 14:30', replies: ['1002'] },
+    { id: '1003', author: 'Grace Hopper', postedOn: 'Feb 01, 2020 09:05', replies: [] }
+  ]);
+  assert.equal(comments[0].replies[0].html, '<p>Agreed.</p>');
+  assert.deepEqual(extractComments('<p>No comments here.</p>'), []);
+});
+
+test('comments are dropped by default', async (t) => {
+  const workspace = await createWorkspace(t, createCommentSpace());
+  const result = await workspace.convert();
+
+  const note = await workspace.readNote('Demo-Space/Talk.md');
+  assert.doesNotMatch(note, /Comments|Agreed|Posted by/);
+  assert.equal(await workspace.exists('notes/Demo-Space/Talk.comments.md'), false);
+  assert.equal(result.report.pages.find(page => page.source === 'Talk_300.html').comments, 0);
+});
+
+test('comments=section appends threaded blockquotes', async (t) => {
+  const workspace = await createWorkspace(t, createCommentSpace());
+  const result = await workspace.convert({ comments: 'section' });
+
+  const note = stripFrontMatter(await workspace.readNote('Demo-Space/Talk.md'));
+  assert.ok(note.endsWith(`\nBody.\n\n## Comments\n\n${THREADS}`), note);
+  assert.equal(result.report.pages.find(page => page.source === 'Talk_300.html').comments, 3);
+});
+
+test('comments=sidecar writes a linked comments note and removes it when switched off', async (t) => {
+  const workspace = await createWorkspace(t, createCommentSpace());
+  await workspace.convert({ comments: 'sidecar', incremental: true });
+
+  const note = await workspace.readNote('Demo-Space/Talk.md');
+  assert.match(note, /^comments: Talk\.comments\.md$/m);
+  assert.doesNotMatch(stripFrontMatter(note), /Agreed/);
+  assert.equal(
+    await workspace.readNote('Demo-Space/Talk.comments.md'),
+    `# Comments: Talk\n\nDiscussion on [Talk](./Talk.md).\n\n${THREADS}`
+  );
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Home.md'), /^comments:/m);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home.comments.md'), false);
+
+  await workspace.convert({ comments: 'drop', incremental: true });
+  assert.equal(await workspace.exists('notes/Demo-Space/Talk.comments.md'), false);
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Talk.md'), /^comments:/m);
+});
+
+test('sidecar links are wikilinks in wikilink mode', async (t) => {
+  const workspace = await createWorkspace(t, createCommentSpace());
+  await workspace.convert({ comments: 'sidecar', linkStyle: 'wikilink' });
+
+  assert.match(await workspace.readNote('Demo-Space/Talk.md'), /^comments: '\[\[Talk\.comments\]\]'$/m);
+  assert.match(await workspace.readNote('Demo-Space/Talk.comments.md'), /^Discussion on \[\[Talk\]\]\.$/m);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace
+} = require('./helpers');
+const { convertHtmlToMarkdown, convertPage } = require('../lib');
+
+function createEventSpace() {
+  return createSpace({
+    'Docs_300.html': renderPage({
+      title: 'Docs',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><img src="images/gone.png"> <a href="Missing_999.html">missing</a></p>' +
+        '<table><tbody><tr><th>A</th></tr><tr><td><ul><li>item</li></ul></td></tr></tbody></table>'
+    })
+  });
+}
+
+function recordEvents() {
+  const events = new EventEmitter();
+  const seen = [];
+  for (const name of ['page:start', 'page:done', 'page:error', 'asset:missing', 'link:unresolved', 'table:downgraded']) {
+    events.on(name, payload => seen.push([name, payload]));
+  }
+  return { events, seen };
+}
+
+test('convertHtmlToMarkdown resolves with the converted pages and the report', async (t) => {
+  const workspace = await createWorkspace(t);
+  const result = await workspace.convert();
+
+  assert.equal(result.notesDir, workspace.notesDir);
+  assert.equal(result.manifestPath, path.join(workspace.mdDir, 'conversion-manifest.json'));
+  assert.equal(result.reportPath, path.join(workspace.mdDir, 'conversion-report.json'));
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.pages.map(({ source, slug, title }) => ({ source, slug, title })), [
+    { source: 'Child_200.html', slug: 'Child', title: 'Child' },
+    { source: 'Home_100.html', slug: 'Home', title: 'Home' },
+    { source: 'index.html', slug: 'Space', title: 'Space' }
+  ]);
+  assert.equal(result.pages[0].output, path.join(workspace.notesDir, 'Demo-Space', 'Home', 'Child.md'));
+  assert.equal(result.report.summary.converted, 3);
+});
+
+test('progress and problems are emitted as events', async (t) => {
+  const workspace = await createWorkspace(t, createEventSpace());
+  const { events, seen } = recordEvents();
+  await workspace.convert({ events });
+
+  const names = seen.map(([name]) => name);
+  assert.equal(names.filter(name => name === 'page:start').length, 4);
+  assert.equal(names.filter(name => name === 'page:done').length, 4);
+  assert.deepEqual(seen.find(([name]) => name === 'asset:missing')[1], {
+    page: 'Docs_300.html',
+    asset: 'images/gone.png',
+    kind: 'image'
+  });
+  assert.deepEqual(seen.find(([name]) => name === 'link:unresolved')[1], {
+    page: 'Docs_300.html',
+    target: 'Missing_999.md',
+    kind: 'note'
+  });
+  assert.deepEqual(seen.find(([name]) => name === 'table:downgraded')[1], {
+    page: 'Docs_300.html',
+    index: 1,
+    reasons: ['lists'],
+    strategy: 'html',
+    preview: 'A'
+  });
+  const done = seen.find(([name, payload]) => name === 'page:done' && payload.source === 'Docs_300.html')[1];
+  assert.deepEqual(done, {
+    source: 'Docs_300.html',
+    output: path.join(workspace.notesDir, 'Demo-Space', 'Docs.md'),
+    status: 'converted'
+  });
+});
+
+test('a failing page is reported without stopping the run', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  await fs.remove(path.join(workspace.notesDir, 'Demo-Space', 'Home'));
+  await fs.outputFile(path.join(workspace.notesDir, 'Demo-Space', 'Home'), 'not a folder');
+  await workspace.write({
+    'Child_200.html': renderPage({ title: 'Child', breadcrumbs: [...HOME_CRUMBS, ['Home', 'Home_100.html']], body: '<p>Edited.</p>' })
+  });
+  const { events, seen } = recordEvents();
+  const result = await workspace.convert({ incremental: true, events });
+
+  assert.deepEqual(result.errors.map(error => error.source), ['Child_200.html']);
+  assert.equal(result.report.pages.find(page => page.source === 'Child_200.html').status, 'error');
+  const [, failure] = seen.find(([name]) => name === 'page:error');
+  assert.equal(failure.source, 'Child_200.html');
+  assert.ok(failure.error instanceof Error);
+  assert.equal(result.report.summary.errors, 1);
+});
+
+test('logger receives progress messages and null silences them', async (t) => {
+  const workspace = await createWorkspace(t);
+  const messages = [];
+  const logger = { log: message => messages.push(message), warn: message => messages.push(message), error: message => messages.push(message) };
+  await workspace.convert({ logger });
+
+  assert.ok(messages.some(message => message.includes('Converted: Home_100.html')));
+
+  const originalLog = console.log;
+  const printed = [];
+  console.log = message => printed.push(message);
+  try {
+    await workspace.convert({ logger: null });
+  } finally {
+    console.log = originalLog;
+  }
+  assert.deepEqual(printed, []);
+});
+
+test('fatal errors reject the promise', async (t) => {
+  const workspace = await createWorkspace(t);
+
+  await assert.rejects(convertHtmlToMarkdown({ logger: null }, { mdDir: workspace.mdDir }), /must be provided/);
+  await assert.rejects(workspace.convert({}, { input: path.join(workspace.root, 'missing') }), /ENOENT/);
+});
+
+test('convertPage converts one page without touching the filesystem', () => {
+  const html = renderPage({
+    title: 'Loose',
+    body: '<div class="confluence-information-macro confluence-information-macro-tip"><div class="confluence-information-macro-body"><p>Tip body</p></div></div>'
+  });
+
+  assert.match(convertPage(html, { titlePrefixToRemove: 'Demo Space : ' }), /^# Loose\n\n+> \[!tip\]\n> Tip body\n$/);
+  assert.match(convertPage(html, { titlePrefixToRemove: 'Demo Space : ', calloutStyle: 'blockquote' }), /^# Loose\n\n+> \*\*Tip\*\*\n> ?\n> Tip body\n$/);
+  assert.equal(convertPage(''), '');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+const SPEC = 'x'.repeat(1000);
+const OTHER = 'y'.repeat(500);
+
+function createSharedSpace() {
+  return createSpace({
+    'A_300.html': renderPage({
+      title: 'A',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><a href="attachments/300/11.pdf">spec.pdf</a> <img src="images/icons/used.png"></p>'
+    }),
+    'B_400.html': renderPage({
+      title: 'B',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><a href="attachments/400/22.pdf">spec.pdf</a> <a href="attachments/400/11.pdf">other</a></p>'
+    }),
+    'attachments/300/11.pdf': SPEC,
+    'attachments/400/22.pdf': SPEC,
+    'attachments/400/11.pdf': OTHER,
+    'images/icons/used.png': 'png',
+    'images/icons/unused.png': 'unused'
+  });
+}
+
+async function listMedia(notesDir) {
+  const files = [];
+  const visit = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await visit(entryPath);
+      } else if (!entry.name.endsWith('.md')) {
+        files.push(path.relative(notesDir, entryPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  await visit(notesDir);
+  return files.sort();
+}
+
+function hashName(content, extension) {
+  return `${crypto.createHash('sha1').update(content).digest('hex').slice(0, 16)}${extension}`;
+}
+
+const SHARED_STATS = {
+  storedFiles: 2,
+  storedBytes: 1500,
+  referencedBytes: 2500,
+  savedBytes: 1000,
+  skippedImages: 1,
+  skippedImageBytes: 6
+};
+
+test('without dedupe every attachment is copied next to its note', async (t) => {
+  const workspace = await createWorkspace(t, createSharedSpace());
+  const { report } = await workspace.convert();
+
+  assert.deepEqual(await listMedia(workspace.notesDir), [
+    'Demo-Space/_media/attachments/300/11.pdf',
+    'Demo-Space/_media/attachments/400/11.pdf',
+    'Demo-Space/_media/attachments/400/22.pdf',
+    '_media/images/icons/unused.png',
+    '_media/images/icons/used.png'
+  ]);
+  assert.equal(report.assets.savedBytes, 0);
+});
+
+test('dedupeAssets hash stores identical files once under their hash', async (t) => {
+  const workspace = await createWorkspace(t, createSharedSpace());
+  const { report } = await workspace.convert({ dedupeAssets: 'hash' });
+
+  const spec = hashName(SPEC, '.pdf');
+  const other = hashName(OTHER, '.pdf');
+  assert.deepEqual(await listMedia(workspace.notesDir), [`_media/attachments/${other}`, `_media/attachments/${spec}`, '_media/images/icons/used.png'].sort());
+  assert.match(stripFrontMatter(await workspace.readNote('Demo-Space/A.md')), new RegExp(`^\\[spec\\.pdf\\]\\(\\.\\./_media/attachments/${spec}\\) !\\[\\]\\(\\.\\./_media/images/icons/used\\.png\\)$`, 'm'));
+  assert.match(await workspace.readNote('Demo-Space/B.md'), new RegExp(`^\\[spec\\.pdf\\]\\(\\.\\./_media/attachments/${spec}\\) \\[other\\]\\(\\.\\./_media/attachments/${other}\\)$`, 'm'));
+  assert.deepEqual(report.assets, { mode: 'hash', ...SHARED_STATS });
+  assert.equal(report.summary.savedBytes, 1000);
+});
+
+test('dedupeAssets name keeps file names and numbers clashes', async (t) => {
+  const workspace = await createWorkspace(t, createSharedSpace());
+  const { report } = await workspace.convert({ dedupeAssets: 'name' });
+
+  assert.deepEqual(await listMedia(workspace.notesDir), ['_media/attachments/11-2.pdf', '_media/attachments/11.pdf', '_media/images/icons/used.png']);
+  assert.equal(await workspace.read('notes/_media/attachments/11.pdf'), SPEC);
+  assert.equal(await workspace.read('notes/_media/attachments/11-2.pdf'), OTHER);
+  assert.match(await workspace.readNote('Demo-Space/B.md'), /^\[spec\.pdf\]\(\.\.\/_media\/attachments\/11\.pdf\) \[other\]\(\.\.\/_media\/attachments\/11-2\.pdf\)$/m);
+  assert.deepEqual(report.assets, { mode: 'name', ...SHARED_STATS });
+});
+
+test('incremental reruns report the savings of the whole output', async (t) => {
+  const workspace = await createWorkspace(t, createSharedSpace());
+  await workspace.convert({ dedupeAssets: 'hash', incremental: true });
+  const { report } = await workspace.convert({ dedupeAssets: 'hash', incremental: true });
+
+  assert.equal(report.summary.unchanged, 5);
+  assert.deepEqual(report.assets, { mode: 'hash', ...SHARED_STATS });
+});
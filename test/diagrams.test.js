@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { convertPage } = require('../lib');
+
+const DRAWIO_XML = '<mxfile host="x"><diagram/></mxfile>';
+const GLIFFY_JSON = '{"contentType":"application/gliffy+json"}';
+const DRAWIO = '<p>Before.</p><div class="drawio-macro" data-macro-name="drawio" data-macro-parameters="diagramName=Architecture|width=600">' +
+  '<img class="drawio-diagram-image" src="attachments/300/301.png"></div><p>After.</p>';
+const GLIFFY = '<div class="gliffy-container"><img class="gliffy-image" src="attachments/400/401.png" alt="Flow"></div>';
+const MISSING = '<div class="drawio-macro"><img class="drawio-diagram-image" src="attachments/500/501.png" data-diagram-name="Lost"></div>';
+
+function attachmentList(items) {
+  return '<div class="pageSection group"><div class="pageSectionHeader"><h2 id="attachments" class="pageSectionTitle">Attachments:</h2></div>' +
+    `<div class="greybox" align="left">${items.map(([href, name]) => `<a href="${href}">${name}</a><br>`).join('')}</div></div>`;
+}
+
+function createDiagramSpace() {
+  return createSpace({
+    'Arch_300.html': renderPage({
+      title: 'Arch',
+      breadcrumbs: HOME_CRUMBS,
+      body: DRAWIO,
+      sections: attachmentList([['attachments/300/301.png', 'Architecture.png'], ['attachments/300/302', 'Architecture']])
+    }),
+    'Flow_400.html': renderPage({ title: 'Flow', breadcrumbs: HOME_CRUMBS, body: GLIFFY }),
+    'Lost_500.html': renderPage({ title: 'Lost', breadcrumbs: HOME_CRUMBS, body: MISSING }),
+    'attachments/300/301.png': 'png',
+    'attachments/300/302': DRAWIO_XML,
+    'attachments/400/401.png': 'png',
+    'attachments/400/402': GLIFFY_JSON,
+    'attachments/400/403.txt': 'text',
+    'attachments/500/501.png': 'png'
+  });
+}
+
+async function readBody(workspace, title) {
+  return stripFrontMatter(await workspace.readNote(`Demo-Space/${title}.md`)).split(`# ${title}\n`)[1];
+}
+
+test('draw.io sources named in the attachment list are copied as .drawio below the preview', async (t) => {
+  const workspace = await createWorkspace(t, createDiagramSpace());
+  await workspace.convert();
+
+  assert.match(
+    await readBody(workspace, 'Arch'),
+    /^\n\nBefore\.\n\n!\[Architecture\]\(\.\/_media\/attachments\/300\/301\.png\)\n\n\[Architecture\.drawio\]\(\.\/_media\/attachments\/300\/Architecture\.drawio\)\n\nAfter\.\n/
+  );
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/300/Architecture.drawio'), DRAWIO_XML);
+});
+
+test('a lone Gliffy file in the page folder is found by its content', async (t) => {
+  const workspace = await createWorkspace(t, createDiagramSpace());
+  await workspace.convert({ linkStyle: 'wikilink' });
+
+  assert.equal(await readBody(workspace, 'Flow'), '\n\n![[401.png|Flow]]\n\n[[Flow.gliffy]]\n');
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/400/Flow.gliffy'), GLIFFY_JSON);
+});
+
+test('diagrams without a source are reported as missing', async (t) => {
+  const workspace = await createWorkspace(t, createDiagramSpace());
+  const { report } = await workspace.convert();
+
+  assert.equal(await readBody(workspace, 'Lost'), '\n\n![Lost](./_media/attachments/500/501.png)\n\nLost (diagram source missing)\n');
+  assert.deepEqual(report.missingAssets.map(({ page, asset, kind }) => ({ page, asset, kind })), [
+    { page: 'Lost_500.html', asset: 'attachments/500/Lost', kind: 'diagram' }
+  ]);
+  assert.match(await workspace.read('missing-assets.txt'), /^attachments\/500\/Lost$/m);
+});
+
+test('convertPage links diagram sources inside the export', () => {
+  assert.match(convertPage(DRAWIO + attachmentList([['attachments/300/302', 'Architecture']])), /\n\n\[Architecture\]\(attachments\/300\/302\)\n\nAfter\./);
+  assert.equal(convertPage(GLIFFY), '![Flow](attachments/400/401.png)\n\nFlow\n');
+});
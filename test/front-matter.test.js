@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace
+} = require('./helpers');
+
+function readFrontMatter(markdown) {
+  const match = markdown.match(/^---\n([\s\S]*?\n)---\n\n/);
+  return match ? yaml.load(match[1]) : null;
+}
+
+function createLabelSpace() {
+  const labels = ['runbook', 'On Call', 'Café & Bar', '#release', 'runbook', '!!!']
+    .map(label => `<li class="aui-label"><a class="aui-label-split-main" href="/label/DS/${label}" rel="tag">${label}</a></li>`)
+    .join('');
+  return createSpace({
+    'Labelled_300.html': renderPage({
+      title: 'Labelled',
+      breadcrumbs: HOME_CRUMBS,
+      body: `<div id="labels-section" class="pageSection group"><div class="labels-wrap"><ul class="label-list">${labels}</ul></div></div><p>Body text.</p>`
+    })
+  });
+}
+
+test('notes get title, aliases, ids, breadcrumbs, people and dates by default', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert();
+
+  const child = await workspace.readNote('Demo-Space/Home/Child.md');
+  assert.deepEqual(readFrontMatter(child), {
+    title: 'Child',
+    aliases: ['Demo Space : Child'],
+    page_id: '200',
+    source: 'Child_200.html',
+    breadcrumbs: ['Demo Space', 'Home'],
+    created_by: 'Ada Lovelace',
+    created_on: '2020-01-02',
+    last_updated_by: 'Charles Babbage',
+    last_updated_on: '2021-03-04'
+  });
+  assert.match(child, /^page_id: '200'$/m);
+});
+
+test('aliases are only written when the title prefix was stripped', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ titlePrefixToRemove: null });
+
+  const frontMatter = readFrontMatter(await workspace.readNote('Demo-Space/Home/Demo-Space-Child.md'));
+  assert.equal(frontMatter.title, 'Demo Space : Child');
+  assert.equal(frontMatter.aliases, undefined);
+});
+
+test('frontMatterFields picks and orders the fields', async (t) => {
+  const workspace = await createWorkspace(t, createSpace({
+    'Odd_Page.html': renderPage({
+      title: 'Odd',
+      breadcrumbs: HOME_CRUMBS,
+      metadata: 'Created by <span class=\'author\'> Ada Lovelace</span> on sometime soon'
+    })
+  }));
+  await workspace.convert({ frontMatterFields: ['source', 'title', 'page_id', 'created_on'] });
+
+  assert.match(
+    await workspace.readNote('Demo-Space/Home/Child.md'),
+    /^---\nsource: Child_200\.html\ntitle: Child\npage_id: '200'\ncreated_on: '2020-01-02'\n---\n\n/
+  );
+  assert.deepEqual(readFrontMatter(await workspace.readNote('Demo-Space/Odd.md')), {
+    source: 'Odd_Page.html',
+    title: 'Odd',
+    created_on: 'sometime soon'
+  });
+});
+
+test('no front matter is written when no field is selected', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ frontMatterFields: [] });
+
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Home/Child.md'), /^---/);
+});
+
+test('labels move from the body into normalized front matter tags', async (t) => {
+  const workspace = await createWorkspace(t, createLabelSpace());
+  await workspace.convert();
+
+  const note = await workspace.readNote('Demo-Space/Labelled.md');
+  const frontMatter = readFrontMatter(note);
+  assert.deepEqual(frontMatter.labels, ['runbook', 'On Call', 'Café & Bar', '#release', '!!!']);
+  assert.deepEqual(frontMatter.tags, ['runbook', 'on-call', 'cafe-and-bar', 'release']);
+  assert.doesNotMatch(note.replace(/^---\n[\s\S]*?\n---\n/, ''), /runbook|On Call/);
+  assert.match(note, /^Body text\.$/m);
+});
+
+test('tagPrefix nests the tags', async (t) => {
+  const workspace = await createWorkspace(t, createLabelSpace());
+  await workspace.convert({ tagPrefix: 'Confluence Labels' });
+
+  const frontMatter = readFrontMatter(await workspace.readNote('Demo-Space/Labelled.md'));
+  assert.deepEqual(frontMatter.tags, [
+    'confluence-labels/runbook',
+    'confluence-labels/on-call',
+    'confluence-labels/cafe-and-bar',
+    'confluence-labels/release'
+  ]);
+});
+
+test('pages without labels get no tags', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert();
+
+  const frontMatter = readFrontMatter(await workspace.readNote('Demo-Space/Home/Child.md'));
+  assert.equal(frontMatter.labels, undefined);
+  assert.equal(frontMatter.tags, undefined);
+});
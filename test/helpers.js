@@ -0,0 +1,196 @@
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { convertHtmlToMarkdown } = require('../lib');
+
+const SPACE_NAME = 'Demo Space';
+
+function renderPage({
+  title,
+  breadcrumbs = [],
+  metadata = 'Created by <span class=\'author\'> Ada Lovelace</span> on Jan 02, 2020, last updated by <span class=\'editor\'> Charles Babbage</span> on Mar 04, 2021',
+  body = '',
+  sections = '',
+  space = SPACE_NAME
+}) {
+  const crumbs = breadcrumbs
+    .map(([text, href], index) => `<li${index ? '' : ' class="first"'}><span><a href="${href}">${text}</a></span></li>`)
+    .join('');
+  return `<!DOCTYPE html>
+<html>
+    <head>
+        <title>${space} : ${title}</title>
+    </head>
+    <body class="theme-default aui-theme-default">
+        <div id="page">
+            <div id="main" class="aui-page-panel">
+                <div id="main-header">
+                    <div id="breadcrumb-section">
+                        <ol id="breadcrumbs">
+${crumbs}
+                        </ol>
+                    </div>
+                    <h1 id="title-heading" class="pagetitle">
+                        <span id="title-text">${space} : ${title}</span>
+                    </h1>
+                </div>
+                <div id="content" class="view">
+                    <div class="page-metadata">
+                        ${metadata}
+                    </div>
+                    <div id="main-content" class="wiki-content group">
+${body}
+                    </div>
+${sections}
+                </div>
+            </div>
+        </div>
+    </body>
+</html>
+`;
+}
+
+function renderIndex(tree, { description = '', space = SPACE_NAME } = {}) {
+  const renderItems = nodes => `<ul>${nodes.map(([file, title, children = []]) => (
+    `<li><a href="${file}">${title}</a>${children.length ? renderItems(children) : ''}</li>`
+  )).join('')}</ul>`;
+  const descriptionTable = description
+    ? `<table class="confluenceTable"><tbody><tr><th class="confluenceTh">Description:</th><td class="confluenceTd">${description}</td></tr></tbody></table>\n`
+    : '';
+  return renderPage({
+    title: 'Space',
+    space,
+    metadata: '',
+    body: `${descriptionTable}<h2>Available Pages:</h2>${renderItems(tree)}`
+  });
+}
+
+const HOME_CRUMBS = [[SPACE_NAME, 'index.html']];
+const CHILD_CRUMBS = [[SPACE_NAME, 'index.html'], ['Home', 'Home_100.html']];
+
+function createSpace(pages = {}) {
+  return {
+    'index.html': renderIndex([['Home_100.html', 'Home', [['Child_200.html', 'Child']]]]),
+    'Home_100.html': renderPage({
+      title: 'Home',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<h2 id="Home-Intro">Intro</h2><p>See <a href="Child_200.html">the child</a>.</p>'
+    }),
+    'Child_200.html': renderPage({
+      title: 'Child',
+      breadcrumbs: CHILD_CRUMBS,
+      body: '<h2 id="Child-Setup">Setup</h2><p>Back to <a href="Home_100.html">home</a>.</p>'
+    }),
+    ...pages
+  };
+}
+
+async function writeFiles(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const target = path.join(root, name);
+    if (content === null) {
+      await fs.remove(target);
+    } else {
+      await fs.outputFile(target, content);
+    }
+  }
+}
+
+async function createWorkspace(t, files = createSpace()) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cih-test-'));
+  t.after(() => fs.remove(root));
+
+  const htmlDir = path.join(root, 'export');
+  const mdDir = path.join(root, 'output');
+  await writeFiles(htmlDir, files);
+
+  return {
+    root,
+    htmlDir,
+    mdDir,
+    notesDir: path.join(mdDir, 'notes'),
+    write: changes => writeFiles(htmlDir, changes),
+    convert: (options = {}, config = {}) => convertHtmlToMarkdown(
+      { titlePrefixToRemove: `${SPACE_NAME} : `, logger: null, ...options },
+      { input: htmlDir, mdDir, ...config }
+    ),
+    read: rel => fs.readFile(path.join(mdDir, rel), 'utf8'),
+    readNote: rel => fs.readFile(path.join(mdDir, 'notes', rel), 'utf8'),
+    exists: rel => fs.pathExists(path.join(mdDir, rel))
+  };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Builds a deflated ZIP archive; declaredSizes overrides the uncompressed size recorded for an entry.
+function createZip(files, { declaredSizes = {} } = {}) {
+  const localParts = [];
+  const directoryParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const size = name in declaredSizes ? declaredSizes[name] : data.length;
+    const fields = [
+      [4, 20], [6, 0x0800], [8, 8], [14, crc32(data)], [18, compressed.length], [22, size], [26, nameBytes.length]
+    ];
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    for (const [position, value] of fields) {
+      const write = position >= 14 && position < 26 ? 'writeUInt32LE' : 'writeUInt16LE';
+      header[write](value, position);
+      entry[write](value, position + 2);
+    }
+    entry.writeUInt32LE(offset, 42);
+
+    localParts.push(header, nameBytes, compressed);
+    directoryParts.push(entry, nameBytes);
+    offset += header.length + nameBytes.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(directoryParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directoryParts.length / 2, 8);
+  end.writeUInt16LE(directoryParts.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, directory, end]);
+}
+
+function stripFrontMatter(markdown) {
+  return markdown.replace(/^---\n[\s\S]*?\n---\n\n/, '');
+}
+
+module.exports = {
+  SPACE_NAME,
+  HOME_CRUMBS,
+  CHILD_CRUMBS,
+  renderPage,
+  renderIndex,
+  createSpace,
+  createWorkspace,
+  createZip,
+  stripFrontMatter
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  renderIndex,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { parsePageTree, getPageOrder } = require('../lib/hierarchy');
+
+test('parsePageTree reads the nested page list in Confluence order', () => {
+  const html = renderIndex([
+    ['Home_100.html', 'Home', [['Zeta_300.html', 'Zeta'], ['Alpha_200.html', 'Alpha', [['Leaf_400.html', 'Leaf']]]]],
+    ['Other_500.html', 'Other']
+  ]).replace('<h2>Available Pages:</h2>', '<ul><li><a href="http://example.com/">not a page</a></li></ul><h2>Available Pages:</h2>');
+  const tree = parsePageTree(html);
+
+  assert.deepEqual(tree, [
+    {
+      file: 'Home_100.html',
+      title: 'Home',
+      children: [
+        { file: 'Zeta_300.html', title: 'Zeta', children: [] },
+        { file: 'Alpha_200.html', title: 'Alpha', children: [{ file: 'Leaf_400.html', title: 'Leaf', children: [] }] }
+      ]
+    },
+    { file: 'Other_500.html', title: 'Other', children: [] }
+  ]);
+  assert.deepEqual([...getPageOrder(tree).keys()], ['Home_100.html', 'Zeta_300.html', 'Alpha_200.html', 'Leaf_400.html', 'Other_500.html']);
+});
+
+test('parsePageTree lifts children of items without a page link', () => {
+  const html = '<h2>Available Pages:</h2><ul><li><span>Group</span><ul><li><a href="A_1.html">A</a></li></ul></li></ul>';
+
+  assert.deepEqual(parsePageTree(html), [{ file: 'A_1.html', title: 'A', children: [] }]);
+  assert.deepEqual(parsePageTree(''), []);
+});
+
+test('folderNotes none keeps parents beside their folder', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ folderNotes: 'none' });
+
+  assert.equal(await workspace.exists('notes/Demo-Space/Home.md'), true);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home/Child.md'), true);
+});
+
+test('folderNotes folder-note moves parents into their folder and fixes links', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ folderNotes: 'folder-note' });
+
+  const home = stripFrontMatter(await workspace.readNote('Demo-Space/Home/Home.md'));
+  const child = stripFrontMatter(await workspace.readNote('Demo-Space/Home/Child.md'));
+  assert.match(home, /^See \[the child\]\(\.\/Child\.md\)\.$/m);
+  assert.match(child, /^Back to \[home\]\(\.\/Home\.md\)\.$/m);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home.md'), false);
+});
+
+test('folderNotes index names the parent note index.md', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ folderNotes: 'index' });
+
+  const child = stripFrontMatter(await workspace.readNote('Demo-Space/Home/Child.md'));
+  assert.match(child, /^Back to \[home\]\(\.\/index\.md\)\.$/m);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home/index.md'), true);
+});
+
+test('folderNotes moc writes a map of content into every folder', async (t) => {
+  const workspace = await createWorkspace(t);
+  const result = await workspace.convert({ folderNotes: 'moc', linkStyle: 'wikilink' });
+
+  assert.equal(await workspace.readNote('Demo-Space/Home/Home-MOC.md'), '# Home\n\nParent page: [[Home]]\n\n- [[Child]]\n');
+  assert.match(await workspace.readNote('Demo-Space/Demo-Space-MOC.md'), /^- \[\[Home\]\]\n {2}- \[\[Home-MOC\|Contents\]\]$/m);
+  assert.equal(result.report.summary.converted, 3);
+});
+
+test('spaceHome replaces the index page with a generated home note', async (t) => {
+  const workspace = await createWorkspace(t, createSpace({
+    'index.html': renderIndex([['Home_100.html', 'Home', [['Child_200.html', 'Child']]]], { description: 'Runbooks for <b>ops</b>.' })
+  }));
+  await workspace.convert({ spaceHome: true });
+
+  assert.equal(
+    stripFrontMatter(await workspace.readNote('Space.md')),
+    '# Space\n\nRunbooks for ops.\n\n## Pages\n\n- [Home](./Demo-Space/Home.md)\n  - [Child](./Demo-Space/Home/Child.md)\n'
+  );
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { convertPage } = require('../lib');
+const {
+  cleanupHtml,
+  extractBreadcrumbLinks,
+  extractPageMetadata,
+  extractTitle
+} = require('../lib/html');
+const { HOME_CRUMBS, renderPage, createSpace, createWorkspace } = require('./helpers');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function assertInOrder(text, parts) {
+  let from = 0;
+  for (const part of parts) {
+    const index = text.indexOf(part, from);
+    assert.notEqual(index, -1, `expected ${JSON.stringify(part)} after offset ${from}`);
+    from = index + part.length;
+  }
+}
+
+test('nested expanders become nested details blocks', () => {
+  const markdown = convertPage(readFixture('nested-expanders.html'), { convertExpanders: true });
+
+  assertInOrder(markdown, [
+    'Before the expanders.',
+    '<details>\n<summary>Outer section</summary>',
+    'Outer body.',
+    '<details>\n<summary>Inner section</summary>',
+    'Inner body.',
+    '</details>',
+    'Outer tail.',
+    '</details>',
+    'After the expanders.'
+  ]);
+  assert.equal(markdown.match(/<details>/g).length, 2);
+  assert.equal(markdown.match(/<\/details>/g).length, 2);
+  assert.doesNotMatch(markdown, /expand-control|Details<\/summary>/);
+});
+
+test('nested expanders keep all of their content when not converted', () => {
+  const markdown = convertPage(readFixture('nested-expanders.html'), { convertExpanders: false });
+
+  assertInOrder(markdown, ['Before the expanders.', 'Outer body.', 'Inner body.', 'Outer tail.', 'After the expanders.']);
+  assert.doesNotMatch(markdown, /<details>|Outer section|Inner section/);
+});
+
+test('page metadata, breadcrumbs and title come from the page chrome', () => {
+  const html = readFixture('nested-expanders.html');
+
+  assert.deepEqual(extractPageMetadata(html), {
+    createdBy: 'Ada Lovelace',
+    createdOnRaw: 'Jan 02, 2020',
+    lastUpdatedBy: 'Charles Babbage',
+    lastUpdatedOnRaw: 'Mar 04, 2021'
+  });
+  assert.deepEqual(extractBreadcrumbLinks(html), [
+    { title: 'Demo Space', href: 'index.html' },
+    { title: 'Home', href: 'Home_100.html' }
+  ]);
+  assert.equal(extractTitle(html), 'Demo Space : Nested Expanders');
+});
+
+test('panels inside kept HTML tables keep their title and content', () => {
+  const markdown = convertPage(readFixture('panels-in-tables.html'), { tableStrategy: 'html' });
+
+  assert.match(markdown, /<td><blockquote><p><strong>Careful:<\/strong><\/p><p>Back up first\.<\/p><\/blockquote><\/td>/);
+  assert.match(markdown, /<td><pre title="run\.sh">\.\/run\.sh --all<\/pre><\/td>/);
+  assert.match(markdown, /> \[!note\] Outside\n> After the table\./);
+  assert.doesNotMatch(markdown, /confluence-information-macro|codeContent|aui-icon/);
+});
+
+test('panels inside flattened tables render inline', () => {
+  for (const tableStrategy of ['br', 'expand']) {
+    const markdown = convertPage(readFixture('panels-in-tables.html'), { tableStrategy });
+
+    assert.match(markdown, /\| Step \| Notes \|\n\| --- \| --- \|/, tableStrategy);
+    assert.match(markdown, /\| Install \| \*\*Careful:\*\* Back up first\. \|/, tableStrategy);
+    assert.match(markdown, /\| Run \| `\.\/run\.sh --all` \|/, tableStrategy);
+  }
+});
+
+test('nested tables force the html strategy and report why', () => {
+  for (const tableStrategy of ['html', 'expand', 'br']) {
+    const downgraded = [];
+    cleanupHtml(readFixture('nested-tables.html'), {
+      tableStrategy,
+      onTableDowngraded: table => downgraded.push(table)
+    });
+
+    assert.deepEqual(downgraded[0], {
+      index: 1,
+      reasons: ['nested-table'],
+      strategy: 'html',
+      preview: 'Area | Detail'
+    }, tableStrategy);
+    assert.equal(downgraded.length, 2, tableStrategy);
+  }
+});
+
+test('nested tables are kept as a single HTML table', () => {
+  const markdown = convertPage(readFixture('nested-tables.html'), { tableStrategy: 'expand' });
+
+  assertInOrder(markdown, ['<th>Area</th>', '<table>', '<td>inner-key</td><td>inner-value</td>', '</table></div></td>', 'After the tables.']);
+  assert.doesNotMatch(markdown, /class=|table-wrap|confluenceT/);
+});
+
+test('merged cells are expanded or kept depending on the strategy', () => {
+  const html = readFixture('nested-tables.html');
+  const expanded = convertPage(html, { tableStrategy: 'expand' });
+  const broken = convertPage(html, { tableStrategy: 'br' });
+
+  assert.match(expanded, /\| Merged \| first<br>second \|\n\| Merged \| third \|/);
+  assert.match(broken, /<td rowspan="2">Merged<\/td><td><p>first<\/p><p>second<\/p><\/td>/);
+});
+
+const SIMPLE_TABLE = '<table><tbody><tr><th>Name</th><th>Value</th></tr><tr><td>a | b</td><td><strong>bold</strong></td></tr></tbody></table>';
+const RICH_TABLE = '<table><tbody><tr><th>Step</th><th>Detail</th></tr>' +
+  '<tr><td>one</td><td><ul><li>a</li><li>b</li></ul><ol start="3"><li>c</li></ol></td></tr>' +
+  '<tr><td>two</td><td><pre>x = 1\ny = 2\n</pre></td></tr></tbody></table>';
+const WIDE_TABLE = '<table><tbody><tr><th colspan="2">Wide</th></tr><tr><td colspan="1">left</td><td>right</td></tr></tbody></table>';
+
+test('simple tables stay Markdown tables under every strategy', () => {
+  for (const tableStrategy of ['html', 'expand', 'br']) {
+    const downgraded = [];
+    cleanupHtml(SIMPLE_TABLE, { tableStrategy, onTableDowngraded: table => downgraded.push(table) });
+
+    assert.equal(convertPage(SIMPLE_TABLE, { tableStrategy }), '| Name | Value |\n| --- | --- |\n| a \\| b | **bold** |\n', tableStrategy);
+    assert.deepEqual(downgraded, [], tableStrategy);
+  }
+});
+
+test('html keeps rich tables as trimmed HTML', () => {
+  const downgraded = [];
+  cleanupHtml(RICH_TABLE, { tableStrategy: 'html', onTableDowngraded: table => downgraded.push(table) });
+  const markdown = convertPage(RICH_TABLE);
+
+  assertInOrder(markdown, ['<table>', '<ul><li>a</li><li>b</li></ul><ol start="3"><li>c</li></ol>', '<pre>x = 1<br>y = 2</pre>', '</table>']);
+  assert.deepEqual(downgraded, [{ index: 1, reasons: ['lists', 'code'], strategy: 'html', preview: 'Step | Detail' }]);
+  assert.equal(
+    convertPage(WIDE_TABLE),
+    '<table>\n<tbody>\n<tr><th colspan="2">Wide</th></tr>\n<tr><td>left</td><td>right</td></tr></tbody>\n</table>\n'
+  );
+});
+
+test('br and expand flatten lists and code into single-line cells', () => {
+  for (const tableStrategy of ['expand', 'br']) {
+    assert.equal(
+      convertPage(RICH_TABLE, { tableStrategy }),
+      '| Step | Detail |\n| --- | --- |\n| one | • a<br>• b<br>3\\. c |\n| two | `x = 1`<br>`y = 2` |\n',
+      tableStrategy
+    );
+  }
+});
+
+test('expand repeats merged columns while br keeps them as HTML', () => {
+  assert.equal(convertPage(WIDE_TABLE, { tableStrategy: 'expand' }), '| Wide | Wide |\n| --- | --- |\n| left | right |\n');
+  assert.match(convertPage(WIDE_TABLE, { tableStrategy: 'br' }), /^<table>\n<tbody>\n<tr><th colspan="2">Wide<\/th><\/tr>/);
+});
+
+test('incremental runs keep reporting downgraded tables of unchanged pages', async (t) => {
+  const workspace = await createWorkspace(t, createSpace({
+    'Rich_300.html': renderPage({ title: 'Rich', breadcrumbs: HOME_CRUMBS, body: RICH_TABLE })
+  }));
+  await workspace.convert({ incremental: true });
+  const { report } = await workspace.convert({ incremental: true });
+
+  assert.equal(report.summary.unchanged, 4);
+  assert.deepEqual(report.downgradedTables, [
+    { page: 'Rich_300.html', index: 1, reasons: ['lists', 'code'], strategy: 'html', preview: 'Step | Detail' }
+  ]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+const IMAGES = '<p><span class="confluence-embedded-file-wrapper confluence-embedded-manual-size">' +
+  '<img class="confluence-embedded-image" width="300" src="attachments/300/thumbnails/11.png?width=300" data-image-src="attachments/300/11.png" ' +
+  'data-height="600" data-width="900" data-linked-resource-default-alias="Network Diagram.png"></span></p>' +
+  '<p><a href="attachments/300/12.png"><img src="attachments/300/thumbnails/12.png?width=150&amp;height=100" title="A &quot;title&quot;"></a></p>' +
+  '<p><img src="attachments/300/13.png" alt="Plain [x]"> <img src="attachments/300/15.png" title="Titled"></p>' +
+  '<figure><img src="attachments/300/14.png" alt="With caption" width="200"><figcaption>Figure 1: the <b>setup</b></figcaption></figure>';
+
+function createImageSpace() {
+  return createSpace({
+    'Pics_300.html': renderPage({ title: 'Pics', breadcrumbs: HOME_CRUMBS, body: IMAGES }),
+    'attachments/300/11.png': 'a',
+    'attachments/300/12.png': 'b',
+    'attachments/300/13.png': 'c',
+    'attachments/300/14.png': 'd',
+    'attachments/300/15.png': 'e',
+    'attachments/300/thumbnails/12.png': 'thumb'
+  });
+}
+
+async function convertImages(t, options) {
+  const workspace = await createWorkspace(t, createImageSpace());
+  const result = await workspace.convert(options);
+  const body = stripFrontMatter(await workspace.readNote('Demo-Space/Pics.md')).split('# Pics\n')[1].trim();
+  return { workspace, result, blocks: body.split('\n\n') };
+}
+
+test('markdown links keep sizes as img tags and point thumbnails at the original', async (t) => {
+  const { workspace, result, blocks } = await convertImages(t);
+
+  assert.deepEqual(blocks, [
+    '<img src="./_media/attachments/300/11.png" alt="Network Diagram" width="300">',
+    '<img src="./_media/attachments/300/12.png" alt="A &quot;title&quot;" title="A &quot;title&quot;" width="150" height="100">',
+    '![Plain x](./_media/attachments/300/13.png) ![Titled](./_media/attachments/300/15.png "Titled")',
+    '<img src="./_media/attachments/300/14.png" alt="With caption" width="200">',
+    '_Figure 1: the setup_'
+  ]);
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/thumbnails/12.png'), false);
+  assert.deepEqual(result.report.missingAssets, []);
+});
+
+test('wikilinks use size hints', async (t) => {
+  const { blocks } = await convertImages(t, { linkStyle: 'wikilink' });
+
+  assert.deepEqual(blocks, [
+    '![[11.png|Network Diagram|300]]',
+    '![[Demo-Space/_media/attachments/300/12.png|A "title"|150x100]]',
+    '![[13.png|Plain x]] ![[15.png|Titled]]',
+    '![[14.png|With caption|200]]',
+    '_Figure 1: the setup_'
+  ]);
+});
+
+test('unsized thumbnails take the original dimensions', async (t) => {
+  const workspace = await createWorkspace(t, createSpace({
+    'Pics_300.html': renderPage({
+      title: 'Pics',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><img class="confluence-embedded-image" src="attachments/300/thumbnails/11.png" data-image-src="attachments/300/11.png" data-height="600" data-width="900"></p>'
+    }),
+    'attachments/300/11.png': 'a'
+  }));
+  await workspace.convert({ linkStyle: 'wikilink' });
+
+  assert.match(await workspace.readNote('Demo-Space/Pics.md'), /^!\[\[11\.png\|900x600\]\]$/m);
+});
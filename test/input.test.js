@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  createZip
+} = require('./helpers');
+const { createZipSource, openInputSource } = require('../lib/input');
+
+function createFilesSpace() {
+  return createSpace({
+    'Files_300.html': renderPage({
+      title: 'Files',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><a href="attachments/300/big.txt">big</a> <a href="attachments/300/ok.txt">ok</a></p>'
+    }),
+    'attachments/300/big.txt': 'x'.repeat(5000),
+    'attachments/300/ok.txt': 'fine'
+  });
+}
+
+function inFolder(folder, files) {
+  return Object.fromEntries(Object.entries(files).map(([name, content]) => [`${folder}/${name}`, content]));
+}
+
+async function writeZip(t, files, options) {
+  const workspace = await createWorkspace(t, {});
+  const zipPath = path.join(workspace.root, 'export.zip');
+  await fs.writeFile(zipPath, createZip(files, options));
+  return { workspace, zipPath };
+}
+
+test('a ZIP export converts like the extracted folder', async (t) => {
+  const folder = await createWorkspace(t, createFilesSpace());
+  const { workspace, zipPath } = await writeZip(t, inFolder('CIH', createFilesSpace()));
+
+  const fromFolder = await folder.convert();
+  const fromZip = await workspace.convert({}, { input: zipPath });
+
+  assert.deepEqual(fromZip.pages.map(page => page.source), fromFolder.pages.map(page => page.source));
+  assert.equal(await workspace.readNote('Demo-Space/Files.md'), await folder.readNote('Demo-Space/Files.md'));
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/300/ok.txt'), 'fine');
+  assert.equal(fromZip.report.htmlDir, `${zipPath}!/CIH`);
+});
+
+test('the space folder is found next to index.html or as the only top-level folder', async (t) => {
+  const { zipPath: nested } = await writeZip(t, {
+    'README.txt': 'notes',
+    'export/CIH/index.html': '<p>index</p>',
+    'export/CIH/Page_1.html': '<p>page</p>',
+    'export/CIH/deeper/index.html': '<p>not the root</p>'
+  });
+  const nestedSource = createZipSource(nested);
+  t.after(() => nestedSource.close());
+  assert.equal(nestedSource.root, `${nested}!/export/CIH`);
+  assert.deepEqual(nestedSource.listSync().map(entry => entry.name).sort(), ['Page_1.html', 'deeper', 'index.html']);
+  assert.equal(await nestedSource.readFile('Page_1.html', 'utf8'), '<p>page</p>');
+
+  const { zipPath: single } = await writeZip(t, { 'CIH/': '', 'CIH/Page_1.html': '<p>page</p>' });
+  const singleSource = await openInputSource(single);
+  t.after(() => singleSource.close());
+  assert.equal(singleSource.root, `${single}!/CIH`);
+  assert.equal(singleSource.existsSync('Page_1.html'), true);
+});
+
+test('entries that escape the archive are ignored', async (t) => {
+  const { workspace, zipPath } = await writeZip(t, {
+    ...inFolder('CIH', createFilesSpace()),
+    '../evil.html': 'evil',
+    '/absolute.html': 'absolute',
+    'C:/drive.html': 'drive',
+    'CIH/../../slip.html': 'slip',
+    'CIH\\..\\..\\backslash.html': 'backslash'
+  });
+  const source = createZipSource(zipPath);
+  t.after(() => source.close());
+
+  assert.deepEqual(source.listSync().map(entry => entry.name).sort(), ['Child_200.html', 'Files_300.html', 'Home_100.html', 'attachments', 'index.html']);
+  await assert.rejects(source.readFile('../../slip.html'), { code: 'ENOENT' });
+
+  const result = await workspace.convert({}, { input: zipPath });
+  assert.equal(result.pages.length, 4);
+  assert.deepEqual((await fs.readdir(workspace.root)).sort(), ['export.zip', 'output']);
+  assert.equal(await fs.pathExists(path.join(workspace.root, '..', 'slip.html')), false);
+});
+
+test('entries that inflate past their declared size are unreadable and reported', async (t) => {
+  const { workspace, zipPath } = await writeZip(t, inFolder('CIH', createFilesSpace()), {
+    declaredSizes: { 'CIH/attachments/300/big.txt': 100 }
+  });
+  const source = createZipSource(zipPath);
+  t.after(() => source.close());
+
+  await assert.rejects(source.readFile('attachments/300/big.txt'));
+  assert.equal((await source.stat('attachments/300/big.txt')).size, 100);
+
+  const { report } = await workspace.convert({}, { input: zipPath });
+  assert.deepEqual(report.missingAssets, [{
+    page: 'Files_300.html',
+    asset: 'attachments/300/big.txt',
+    kind: 'attachment',
+    message: 'ZIP entry attachments/300/big.txt is larger than its declared size'
+  }]);
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/big.txt'), false);
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/300/ok.txt'), 'fine');
+});
+
+test('files that are not ZIP archives are rejected', async (t) => {
+  const workspace = await createWorkspace(t, {});
+  const notZip = path.join(workspace.root, 'export.zip');
+  await fs.writeFile(notZip, 'plain text');
+
+  await assert.rejects(workspace.convert({}, { input: notZip }), /not a ZIP archive/);
+});
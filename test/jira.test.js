@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { convertPage } = require('../lib');
+const { extractJiraKeys } = require('../lib/html');
+
+const ISSUE = '<p>See <span class="jira-issue" data-jira-key="PROJ-123">' +
+  '<a href="https://jira.old/browse/PROJ-123" class="jira-issue-key"><img class="icon" src="images/icons/jira_bug.png">PROJ-123</a> - ' +
+  '<span class="summary">Fix *login*</span> <span class="aui-lozenge aui-lozenge-current">In Progress</span></span> now.</p>';
+const BARE_ISSUE = '<p><span class="jira-issue">OPS-7</span></p>';
+const ISSUE_TABLE = '<div class="jira-table"><table><tbody><tr><th>T</th><th>Key</th><th>Summary</th><th>Status</th></tr>' +
+  '<tr><td><img src="images/icons/bug.png" alt="Bug"></td><td><a href="https://jira.old/browse/PROJ-1">PROJ-1</a></td>' +
+  '<td>First</td><td><span class="aui-lozenge">Done</span></td></tr>' +
+  '<tr><td></td><td>no key</td><td>Skipped</td><td></td></tr></tbody></table></div>';
+
+test('single issues become links with summary and status', () => {
+  assert.equal(convertPage(ISSUE), 'See [PROJ-123](https://jira.old/browse/PROJ-123) – Fix \\*login\\* `In Progress` now.\n');
+  assert.equal(convertPage(BARE_ISSUE), 'OPS-7\n');
+});
+
+test('jiraBaseUrl rewrites every issue link', () => {
+  const jiraBaseUrl = 'https://jira.example.com/';
+
+  assert.equal(
+    convertPage(ISSUE, { jiraBaseUrl, statusStyle: 'text' }),
+    'See [PROJ-123](https://jira.example.com/browse/PROJ-123) – Fix \\*login\\* In Progress now.\n'
+  );
+  assert.equal(convertPage(BARE_ISSUE, { jiraBaseUrl }), '[OPS-7](https://jira.example.com/browse/OPS-7)\n');
+});
+
+test('issue table macros become Markdown tables with linked keys', () => {
+  assert.equal(
+    convertPage(ISSUE_TABLE),
+    '| T | Key | Summary | Status |\n| --- | --- | --- | --- |\n| Bug | [PROJ-1](https://jira.old/browse/PROJ-1) | First | Done |\n'
+  );
+  assert.match(convertPage(ISSUE_TABLE, { jiraBaseUrl: 'https://jira.example.com' }), /\| \[PROJ-1\]\(https:\/\/jira\.example\.com\/browse\/PROJ-1\) \|/);
+});
+
+test('issue keys are collected once each in page order', () => {
+  assert.deepEqual(extractJiraKeys(ISSUE + BARE_ISSUE + ISSUE_TABLE + ISSUE), ['PROJ-123', 'OPS-7', 'PROJ-1']);
+  assert.deepEqual(extractJiraKeys('<p>Mentions PROJ-9 in text only.</p>'), []);
+});
+
+test('notes list their issue keys in front matter and keep no icon references', async (t) => {
+  const workspace = await createWorkspace(t, createSpace({
+    'Tickets_300.html': renderPage({ title: 'Tickets', breadcrumbs: HOME_CRUMBS, body: ISSUE + ISSUE_TABLE })
+  }));
+  const result = await workspace.convert({ jiraBaseUrl: 'https://jira.example.com' });
+
+  const note = await workspace.readNote('Demo-Space/Tickets.md');
+  assert.deepEqual(yaml.load(note.match(/^---\n([\s\S]*?\n)---\n/)[1]).jira, ['PROJ-123', 'PROJ-1']);
+  assert.match(stripFrontMatter(note), /\[PROJ-123\]\(https:\/\/jira\.example\.com\/browse\/PROJ-123\)/);
+  assert.doesNotMatch(note, /images\/icons|jira_bug/);
+  assert.deepEqual(result.report.missingAssets, []);
+  assert.doesNotMatch(await workspace.readNote('Demo-Space/Home.md'), /^jira:/m);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HOME_CRUMBS,
+  renderIndex,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+const DOCS_LINKS = '<p><a href="https://wiki.example.com/wiki/display/DS/Child#Child-Setup">display</a> ' +
+  '<a href="/wiki/pages/viewpage.action?pageId=200">viewpage</a> ' +
+  '<a href="https://wiki.example.com/wiki/spaces/DS/pages/100/Home">spaces</a> ' +
+  '<a href="/wiki/x/yA">tiny</a> ' +
+  '<a href="/wiki/pages/viewpage.action?pageId=999">gone</a> ' +
+  '<a href="https://elsewhere.example.com/display/DS/Child">elsewhere</a></p>';
+
+function createLinkSpace({ links = DOCS_LINKS, index } = {}) {
+  return createSpace({
+    ...(index ? { 'index.html': index } : {}),
+    'Docs_300.html': renderPage({ title: 'Docs', breadcrumbs: HOME_CRUMBS, body: links })
+  });
+}
+
+async function readBody(workspace) {
+  const lines = stripFrontMatter(await workspace.readNote('Demo-Space/Docs.md')).trim().split('\n');
+  return lines[lines.length - 1];
+}
+
+function indexWithKey(key) {
+  return renderIndex([['Home_100.html', 'Home', [['Child_200.html', 'Child']]]])
+    .replace('<h2>Available Pages:</h2>', `<table class="confluenceTable"><tbody><tr><th class="confluenceTh">Key:</th><td class="confluenceTd">${key}</td></tr></tbody></table><h2>Available Pages:</h2>`);
+}
+
+test('wiki URLs under a context path resolve to notes by page id, tiny link and space title', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  await workspace.convert({ confluenceBaseUrl: 'https://wiki.example.com/wiki/' }, { spaceKey: 'DS' });
+
+  assert.equal(
+    await readBody(workspace),
+    '[display](./Home/Child.md#Setup) [viewpage](./Home/Child.md) [spaces](./Home.md) [tiny](./Home/Child.md) ' +
+      '[gone](https://wiki.example.com/wiki/pages/viewpage.action?pageId=999) [elsewhere](https://elsewhere.example.com/display/DS/Child)'
+  );
+});
+
+test('unresolved wiki links are reported and point back at the wiki', async (t) => {
+  const workspace = await createWorkspace(t, createLinkSpace());
+  const result = await workspace.convert({ confluenceBaseUrl: 'https://wiki.example.com/wiki' }, { spaceKey: 'DS' });
+
+  assert.deepEqual(result.report.unresolvedLinks, [
+    { page: 'Docs_300.html', target: '/wiki/pages/viewpage.action?pageId=999', kind: 'confluence' }
+  ]);
+  assert.match(await workspace.read('unresolved-links.txt'), /pageId=999/);
+});
+
+test('display links use the space key from index.html when none is configured', async (t) => {
+  const links = '<p><a href="/display/DS/Child">child</a> <a href="/display/DS">home</a> <a href="/display/OTHER/Child">other</a></p>';
+  const workspace = await createWorkspace(t, createLinkSpace({ links, index: indexWithKey('DS') }));
+  await workspace.convert({ confluenceBaseUrl: 'https://wiki.example.com' });
+
+  assert.equal(
+    await readBody(workspace),
+    '[child](./Home/Child.md) [home](../Space.md) [other](https://wiki.example.com/display/OTHER/Child)'
+  );
+});
+
+test('display links match by title alone when the space key is unknown', async (t) => {
+  const links = '<p><a href="/display/DS/Child">child</a> <a href="/display/DS/Home#Home-Intro">home</a> <a href="/display/DS/Nope">nope</a></p>';
+  const workspace = await createWorkspace(t, createLinkSpace({ links }));
+  const result = await workspace.convert({ confluenceBaseUrl: 'https://wiki.example.com' });
+
+  assert.equal(
+    await readBody(workspace),
+    '[child](./Home/Child.md) [home](./Home.md#Intro) [nope](https://wiki.example.com/display/DS/Nope)'
+  );
+  assert.deepEqual(result.report.unresolvedLinks.map(entry => entry.target), ['/display/DS/Nope']);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { MANIFEST_FILE, removeOutputs } = require('../lib/manifest');
+
+function statuses(result) {
+  return Object.fromEntries(result.report.pages.map(page => [page.source, page.status]));
+}
+
+function createDocsSpace() {
+  return createSpace({
+    'Docs_300.html': renderPage({
+      title: 'Docs',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><a href="attachments/300/901.pdf">manual.pdf</a></p>'
+    }),
+    'attachments/300/901.pdf': 'manual'
+  });
+}
+
+test('an unchanged export is skipped on the next incremental run', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  const result = await workspace.convert({ incremental: true });
+
+  assert.deepEqual(statuses(result), {
+    'index.html': 'unchanged',
+    'Home_100.html': 'unchanged',
+    'Child_200.html': 'unchanged'
+  });
+  assert.deepEqual(result.pages, []);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home/Child.md'), true);
+});
+
+test('only edited pages are reconverted', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  await workspace.write({
+    'Child_200.html': renderPage({
+      title: 'Child',
+      breadcrumbs: [['Demo Space', 'index.html'], ['Home', 'Home_100.html']],
+      body: '<h2 id="Child-Setup">Setup</h2><p>Edited body.</p>'
+    })
+  });
+  const result = await workspace.convert({ incremental: true });
+
+  assert.deepEqual(statuses(result), {
+    'index.html': 'unchanged',
+    'Home_100.html': 'unchanged',
+    'Child_200.html': 'converted'
+  });
+  assert.match(await workspace.readNote('Demo-Space/Home/Child.md'), /^Edited body\.$/m);
+});
+
+test('a moved page is rewritten at its new path and its linkers are reconverted', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  await workspace.write({
+    'Child_200.html': renderPage({
+      title: 'Child',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<h2 id="Child-Setup">Setup</h2><p>Back to <a href="Home_100.html">home</a>.</p>'
+    })
+  });
+  const result = await workspace.convert({ incremental: true });
+
+  assert.equal(statuses(result)['Child_200.html'], 'converted');
+  assert.equal(statuses(result)['Home_100.html'], 'converted');
+  assert.equal(await workspace.exists('notes/Demo-Space/Home/Child.md'), false);
+  assert.equal(await workspace.exists('notes/Demo-Space/Home'), false);
+  assert.match(stripFrontMatter(await workspace.readNote('Demo-Space/Home.md')), /\[the child\]\(\.\/Child\.md\)/);
+});
+
+test('deleted pages lose their note and their attachments', async (t) => {
+  const workspace = await createWorkspace(t, createDocsSpace());
+  await workspace.convert({ incremental: true });
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/901.pdf'), true);
+
+  await workspace.write({ 'Docs_300.html': null });
+  const result = await workspace.convert({ incremental: true });
+
+  assert.equal(await workspace.exists('notes/Demo-Space/Docs.md'), false);
+  assert.equal(await workspace.exists('notes/Demo-Space/_media/attachments/300/901.pdf'), false);
+  assert.deepEqual(result.report.removed, [{ source: 'Docs_300.html', output: 'notes/Demo-Space/Docs.md' }]);
+  assert.equal(statuses(result)['Home_100.html'], 'unchanged');
+});
+
+test('the manifest keeps slugs stable when a title changes', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  await workspace.write({
+    'Child_200.html': renderPage({
+      title: 'Renamed Child',
+      breadcrumbs: [['Demo Space', 'index.html'], ['Home', 'Home_100.html']],
+      body: '<p>Renamed.</p>'
+    })
+  });
+  await workspace.convert({ incremental: true });
+
+  const manifest = JSON.parse(await workspace.read(MANIFEST_FILE));
+  assert.equal(manifest.pages['Child_200.html'].slug, 'Child');
+  assert.equal(manifest.pages['Child_200.html'].outputPath, 'notes/Demo-Space/Home/Child.md');
+  assert.match(await workspace.readNote('Demo-Space/Home/Child.md'), /^title: Renamed Child$/m);
+});
+
+test('a full run clears notes that an incremental run keeps', async (t) => {
+  const workspace = await createWorkspace(t);
+  await workspace.convert({ incremental: true });
+  await fs.outputFile(path.join(workspace.notesDir, 'Hand-written.md'), 'mine');
+
+  await workspace.convert({ incremental: true });
+  assert.equal(await workspace.exists('notes/Hand-written.md'), true);
+
+  await workspace.convert();
+  assert.equal(await workspace.exists('notes/Hand-written.md'), false);
+});
+
+test('manifest paths outside the output directory are never removed', async (t) => {
+  const workspace = await createWorkspace(t, createDocsSpace());
+  await workspace.convert({ incremental: true });
+
+  const outside = path.join(workspace.root, 'outside.txt');
+  await fs.outputFile(outside, 'keep me');
+  const manifestPath = path.join(workspace.mdDir, MANIFEST_FILE);
+  const manifest = await fs.readJson(manifestPath);
+  manifest.pages['Docs_300.html'].outputPath = '../outside.txt';
+  manifest.pages['Docs_300.html'].assets.push('../outside.txt');
+  manifest.generated.push('../outside.txt');
+  await fs.writeJson(manifestPath, manifest);
+
+  await workspace.write({ 'Docs_300.html': null });
+  await workspace.convert({ incremental: true });
+
+  assert.equal(await fs.readFile(outside, 'utf8'), 'keep me');
+});
+
+test('removeOutputs skips paths that leave the output directory', async (t) => {
+  const workspace = await createWorkspace(t);
+  const inside = path.join(workspace.notesDir, 'Old', 'Note.md');
+  const sibling = path.join(`${workspace.mdDir}2`, 'Note.md');
+  await fs.outputFile(inside, 'old');
+  await fs.outputFile(sibling, 'sibling');
+  const warnings = [];
+
+  const removed = await removeOutputs(
+    ['notes/Old/Note.md', '../output2/Note.md', '', '.', null],
+    workspace.mdDir,
+    workspace.notesDir,
+    { warn: message => warnings.push(message) }
+  );
+
+  assert.deepEqual(removed, ['notes/Old/Note.md']);
+  assert.equal(await fs.pathExists(path.dirname(inside)), false);
+  assert.equal(await fs.pathExists(workspace.notesDir), true);
+  assert.equal(await fs.readFile(sibling, 'utf8'), 'sibling');
+  assert.equal(warnings.length, 2);
+});
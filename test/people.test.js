@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+const { loadPeopleFile } = require('../lib/people');
+
+const MENTIONS = '<p>Ask <a class="confluence-userlink user-mention" data-username="alovelace" href="/display/~alovelace">Ada Lovelace</a> ' +
+  'or <a class="confluence-userlink user-mention" data-username="gh" href="/display/~gh">Grace Hopper</a>.</p>';
+
+function readAuthors(markdown) {
+  const { created_by: createdBy, last_updated_by: lastUpdatedBy } = yaml.load(markdown.match(/^---\n([\s\S]*?\n)---\n/)[1]);
+  return [createdBy, lastUpdatedBy];
+}
+
+async function createTeamWorkspace(t, fileName, content) {
+  const workspace = await createWorkspace(t, createSpace({
+    'Team_300.html': renderPage({ title: 'Team', breadcrumbs: HOME_CRUMBS, body: MENTIONS })
+  }));
+  const peopleFile = path.join(workspace.root, fileName);
+  await fs.writeFile(peopleFile, content);
+  return { workspace, peopleFile };
+}
+
+const PEOPLE_JSON = JSON.stringify({ alovelace: { name: 'Ada Lovelace', handle: '@ada' }, cbabbage: 'Charles Babbage' });
+
+test('people files are read from JSON objects, arrays and CSV', async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cih-test-'));
+  t.after(() => fs.remove(root));
+  await fs.writeFile(path.join(root, 'object.json'), PEOPLE_JSON);
+  await fs.writeFile(path.join(root, 'array.json'), JSON.stringify([{ username: 'alovelace', name: ' Ada Lovelace ' }, { note: 'nobody' }]));
+  await fs.writeFile(path.join(root, 'people.csv'), 'Username,Name,Handle,Ignored\r\nalovelace,Ada Lovelace,@ada,x\r\n"cbabbage","Babbage, ""Charles""",,\r\n,,,\r\n');
+
+  assert.deepEqual(await loadPeopleFile(path.join(root, 'object.json')), [
+    { username: 'alovelace', name: 'Ada Lovelace', handle: 'ada' },
+    { username: 'cbabbage', name: 'Charles Babbage' }
+  ]);
+  assert.deepEqual(await loadPeopleFile(path.join(root, 'array.json')), [{ username: 'alovelace', name: 'Ada Lovelace' }]);
+  assert.deepEqual(await loadPeopleFile(path.join(root, 'people.csv')), [
+    { username: 'alovelace', name: 'Ada Lovelace', handle: 'ada' },
+    { username: 'cbabbage', name: 'Babbage, "Charles"' }
+  ]);
+});
+
+test('mentions and authors keep the display name by default', async (t) => {
+  const { workspace, peopleFile } = await createTeamWorkspace(t, 'people.json', PEOPLE_JSON);
+  await workspace.convert({ peopleFile });
+
+  const note = await workspace.readNote('Demo-Space/Team.md');
+  assert.deepEqual(readAuthors(note), ['Ada Lovelace', 'Charles Babbage']);
+  assert.match(stripFrontMatter(note), /^Ask Ada Lovelace or Grace Hopper\.$/m);
+  assert.equal(await workspace.exists('notes/People'), false);
+});
+
+test('mentionStyle handle writes @handles', async (t) => {
+  const { workspace, peopleFile } = await createTeamWorkspace(t, 'people.json', PEOPLE_JSON);
+  await workspace.convert({ peopleFile, mentionStyle: 'handle' });
+
+  const note = await workspace.readNote('Demo-Space/Team.md');
+  assert.deepEqual(readAuthors(note), ['@ada', '@cbabbage']);
+  assert.match(stripFrontMatter(note), /^Ask @ada or @gh\.$/m);
+});
+
+test('mentionStyle link uses Markdown links in the body and wikilinks in front matter', async (t) => {
+  const { workspace, peopleFile } = await createTeamWorkspace(t, 'people.json', PEOPLE_JSON);
+  await workspace.convert({ peopleFile, mentionStyle: 'link' });
+
+  const note = await workspace.readNote('Demo-Space/Team.md');
+  assert.deepEqual(readAuthors(note), ['[[People/Ada-Lovelace|Ada Lovelace]]', '[[People/Charles-Babbage|Charles Babbage]]']);
+  assert.match(stripFrontMatter(note), /^Ask \[Ada Lovelace\]\(\.\.\/People\/Ada-Lovelace\.md\) or Grace Hopper\.$/m);
+});
+
+test('mentionStyle link with wikilinks honours the note name from the people file', async (t) => {
+  const { workspace, peopleFile } = await createTeamWorkspace(t, 'people.csv', 'username,name,note\nalovelace,Ada Lovelace,Ada\n');
+  await workspace.convert({ peopleFile, mentionStyle: 'link', linkStyle: 'wikilink' });
+
+  const note = await workspace.readNote('Demo-Space/Team.md');
+  assert.deepEqual(readAuthors(note), ['[[People/Ada|Ada Lovelace]]', 'Charles Babbage']);
+  assert.match(stripFrontMatter(note), /^Ask \[\[People\/Ada\|Ada Lovelace\]\] or Grace Hopper\.$/m);
+});
+
+test('personNotes writes a stub note per author listing their pages', async (t) => {
+  const { workspace, peopleFile } = await createTeamWorkspace(t, 'people.json', PEOPLE_JSON);
+  await workspace.convert({ peopleFile, personNotes: true, peopleFolder: 'Team', linkStyle: 'wikilink' });
+
+  assert.deepEqual((await fs.readdir(path.join(workspace.notesDir, 'Team'))).sort(), ['Ada-Lovelace.md', 'Charles-Babbage.md']);
+  assert.equal(
+    await workspace.readNote('Team/Ada-Lovelace.md'),
+    "---\ntitle: Ada Lovelace\naliases:\n  - alovelace\n  - '@ada'\n---\n\n# Ada Lovelace\n\n## Created\n\n- [[Child]]\n- [[Home]]\n- [[Team]]\n"
+  );
+  assert.match(await workspace.readNote('Team/Charles-Babbage.md'), /\n## Last updated\n\n- \[\[Child\]\]\n/);
+});
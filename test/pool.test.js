@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace
+} = require('./helpers');
+const { createWorkerPool, runWithConcurrency } = require('../lib/pool');
+const { createPageRenderer } = require('../lib/render');
+const { createReport } = require('../lib/report');
+
+function createBusySpace() {
+  const pages = {};
+  for (let id = 301; id <= 306; id += 1) {
+    const filler = '<p>Filler paragraph.</p>'.repeat((307 - id) * 40);
+    pages[`Page${id}_${id}.html`] = renderPage({
+      title: `Page ${id}`,
+      breadcrumbs: HOME_CRUMBS,
+      body: `${filler}<p><img src="images/gone-${id}.png"> <a href="Missing_${id + 600}.html">missing</a></p>` +
+        `<table><tbody><tr><th>A</th></tr><tr><td rowspan="2">${id}</td></tr></tbody></table>`
+    });
+  }
+  return createSpace(pages);
+}
+
+async function listNotes(notesDir) {
+  const notes = {};
+  const visit = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await visit(entryPath);
+      } else {
+        notes[path.relative(notesDir, entryPath)] = await fs.readFile(entryPath, 'utf8');
+      }
+    }
+  };
+  await visit(notesDir);
+  return notes;
+}
+
+function stableReport(report) {
+  const { missingAssets, unresolvedLinks, downgradedTables, errors, summary } = report;
+  return {
+    summary,
+    errors,
+    missingAssets: missingAssets.map(({ page, asset, kind }) => ({ page, asset, kind })),
+    unresolvedLinks,
+    downgradedTables,
+    pages: report.pages.map(({ source, output, status }) => ({ source, output, status }))
+  };
+}
+
+test('runWithConcurrency runs every item with at most the given number in flight', async () => {
+  const items = [5, 1, 4, 2, 3, 0];
+  const seen = [];
+  let active = 0;
+  let peak = 0;
+
+  await runWithConcurrency(items, 2, async (item) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, item * 2));
+    seen.push(item);
+    active -= 1;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual([...seen].sort(), [...items].sort());
+  await runWithConcurrency([], 4, () => assert.fail('no items to run'));
+});
+
+test('the worker pool renders pages like the in-process renderer', async (t) => {
+  const options = { titlePrefixToRemove: 'Demo Space : ', tableStrategy: 'br' };
+  const pool = createWorkerPool({ size: 2, workerData: options });
+  t.after(() => pool.destroy());
+  const html = createBusySpace()['Page301_301.html'];
+
+  const [fromWorker, fromOtherWorker] = await Promise.all([
+    pool.run({ html, titlePrefixToRemove: options.titlePrefixToRemove }),
+    pool.run({ html, titlePrefixToRemove: options.titlePrefixToRemove })
+  ]);
+
+  assert.deepEqual(fromWorker, createPageRenderer(options)(html));
+  assert.deepEqual(fromOtherWorker, fromWorker);
+});
+
+test('a destroyed worker pool rejects new pages', async () => {
+  const pool = createWorkerPool({ size: 1, workerData: {} });
+  await pool.destroy();
+
+  await assert.rejects(pool.run({ html: '<p>x</p>' }), /destroyed/);
+});
+
+test('notes and the report do not depend on the concurrency level', async (t) => {
+  const serial = await createWorkspace(t, createBusySpace());
+  const parallel = await createWorkspace(t, createBusySpace());
+
+  const serialResult = await serial.convert({ concurrency: 1 });
+  const parallelResult = await parallel.convert({ concurrency: 3 });
+
+  assert.deepEqual(await listNotes(parallel.notesDir), await listNotes(serial.notesDir));
+  assert.deepEqual(stableReport(parallelResult.report), stableReport(serialResult.report));
+  assert.deepEqual(parallelResult.pages.map(page => page.source), serialResult.pages.map(page => page.source));
+  assert.equal(serialResult.report.summary.unresolvedLinks, 6);
+  assert.equal(serialResult.report.summary.downgradedTables, 6);
+});
+
+test('report entries are sorted by page whatever order pages finish in', () => {
+  const report = createReport({ htmlDir: 'in', mdDir: 'out' });
+
+  report.recordMissingAsset('B.html', 'images/b.png', 'image');
+  report.recordMissingAsset('A.html', 'images/a2.png', 'image');
+  report.recordMissingAsset('A.html', 'images/a1.png', 'image');
+  report.recordUnresolvedLink('B.html', 'B.md');
+  report.recordUnresolvedLink('A.html', 'A.md');
+  report.recordDowngradedTable('B.html', { index: 1, reasons: ['lists'], strategy: 'html', preview: 'B' });
+  report.recordDowngradedTable('A.html', { index: 1, reasons: ['lists'], strategy: 'html', preview: 'A' });
+  report.recordPage('B.html', { status: 'error', error: 'b' });
+  report.recordPage('A.html', { status: 'error', error: 'a' });
+  const data = report.toJSON();
+
+  assert.deepEqual(data.missingAssets.map(entry => entry.asset), ['images/a2.png', 'images/a1.png', 'images/b.png']);
+  assert.deepEqual(data.unresolvedLinks.map(entry => entry.page), ['A.html', 'B.html']);
+  assert.deepEqual(data.downgradedTables.map(entry => entry.page), ['A.html', 'B.html']);
+  assert.deepEqual(data.errors.map(entry => entry.source), ['A.html', 'B.html']);
+});
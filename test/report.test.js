@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  HOME_CRUMBS,
+  renderPage,
+  createSpace,
+  createWorkspace
+} = require('./helpers');
+const {
+  REPORT_FILE,
+  MISSING_ASSETS_FILE,
+  UNRESOLVED_LINKS_FILE,
+  createReport
+} = require('../lib/report');
+
+function createBrokenSpace() {
+  return createSpace({
+    'Docs_300.html': renderPage({
+      title: 'Docs',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p><img src="images/icons/gone.png"> <a href="attachments/300/404.pdf">gone.pdf</a> <a href="Missing_999.html">missing</a></p>'
+    }),
+    'Home_600.html': renderPage({
+      title: 'Home',
+      breadcrumbs: HOME_CRUMBS,
+      body: '<p>Second home</p>'
+    })
+  });
+}
+
+test('the report lists pages, missing assets, unresolved links and slug collisions', async (t) => {
+  const workspace = await createWorkspace(t, createBrokenSpace());
+  const result = await workspace.convert();
+  const report = JSON.parse(await workspace.read(REPORT_FILE));
+
+  assert.deepEqual(report, JSON.parse(JSON.stringify(result.report)));
+  assert.deepEqual(report.summary, {
+    pages: 5,
+    converted: 5,
+    unchanged: 0,
+    errors: 0,
+    removed: 0,
+    missingAssets: 2,
+    unresolvedLinks: 1,
+    slugCollisions: 1,
+    downgradedTables: 0,
+    savedBytes: 0
+  });
+  assert.deepEqual(report.missingAssets.map(({ page, asset, kind }) => ({ page, asset, kind })), [
+    { page: 'Docs_300.html', asset: 'images/icons/gone.png', kind: 'image' },
+    { page: 'Docs_300.html', asset: 'attachments/300/404.pdf', kind: 'attachment' }
+  ]);
+  assert.deepEqual(report.unresolvedLinks, [{ page: 'Docs_300.html', target: 'Missing_999.md', kind: 'note' }]);
+  assert.deepEqual(report.slugCollisions, [{ source: 'Home_600.html', preferredSlug: 'Home', slug: '600' }]);
+
+  const docs = report.pages.find(page => page.source === 'Docs_300.html');
+  assert.equal(docs.status, 'converted');
+  assert.equal(docs.output, 'notes/Demo-Space/Docs.md');
+  assert.deepEqual(docs.missingAssets, ['images/icons/gone.png', 'attachments/300/404.pdf']);
+  assert.deepEqual(docs.unresolvedLinks, ['Missing_999.md']);
+  assert.equal(typeof report.timings.totalMs, 'number');
+});
+
+test('missing assets and unresolved links are also written as text files', async (t) => {
+  const workspace = await createWorkspace(t, createBrokenSpace());
+  await workspace.convert();
+
+  assert.equal(await workspace.read(MISSING_ASSETS_FILE), 'attachments/300/404.pdf\nimages/icons/gone.png\n');
+  assert.equal(await workspace.read(UNRESOLVED_LINKS_FILE), 'Docs_300.html\tMissing_999.md\n');
+});
+
+test('a clean run writes empty text files', async (t) => {
+  const workspace = await createWorkspace(t);
+  const result = await workspace.convert();
+
+  assert.equal(result.report.summary.missingAssets, 0);
+  assert.equal(await workspace.read(MISSING_ASSETS_FILE), '');
+  assert.equal(await workspace.read(UNRESOLVED_LINKS_FILE), '');
+});
+
+test('errors and fatal failures are recorded', async (t) => {
+  const workspace = await createWorkspace(t);
+  const report = createReport({ htmlDir: workspace.htmlDir, mdDir: workspace.mdDir });
+
+  report.recordPage('Broken_1.html', { status: 'error', error: 'boom' });
+  report.recordFatal(new Error('input vanished'));
+  const { reportPath, data } = await report.write();
+
+  assert.equal(reportPath, path.join(workspace.mdDir, REPORT_FILE));
+  assert.equal(data.fatal, 'input vanished');
+  assert.deepEqual(data.errors, [{ source: 'Broken_1.html', message: 'boom' }]);
+  assert.equal(data.summary.errors, 1);
+  assert.deepEqual((await fs.readJson(reportPath)).errors, data.errors);
+});
+
+test('the same unresolved link is reported once per page', () => {
+  const seen = [];
+  const report = createReport({ htmlDir: 'in', mdDir: 'out', emit: (name, entry) => seen.push([name, entry]) });
+
+  report.recordUnresolvedLink('A.html', 'Gone.md');
+  report.recordUnresolvedLink('A.html', 'Gone.md');
+  report.recordUnresolvedLink('B.html', 'Gone.md');
+
+  assert.equal(report.toJSON().unresolvedLinks.length, 2);
+  assert.deepEqual(seen.map(([name]) => name), ['link:unresolved', 'link:unresolved']);
+});
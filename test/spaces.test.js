@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  renderPage,
+  renderIndex,
+  createWorkspace,
+  stripFrontMatter
+} = require('./helpers');
+
+const RUNBOOK_LINKS = '<p><a href="/display/DEV/Dev+Home#DevHome-Build">build</a> ' +
+  '<a href="https://wiki.example.com/pages/viewpage.action?pageId=2200">api</a> ' +
+  '<a href="DevHome_2100.html">by file</a> ' +
+  '<a href="/display/HR/Holidays">hr</a> ' +
+  '<a href="../HR/Leave_3100.html">leave</a></p>';
+
+function createSpaces() {
+  return {
+    'ops/index.html': renderIndex([['Runbook_1100.html', 'Runbook']], { space: 'Operations' }),
+    'ops/Runbook_1100.html': renderPage({ space: 'Operations', title: 'Runbook', breadcrumbs: [['Operations', 'index.html']], body: RUNBOOK_LINKS }),
+    'ops/images/icons/ops.png': 'ops',
+    'dev/index.html': renderIndex([['DevHome_2100.html', 'Dev Home', [['Api_2200.html', 'Api']]]], { space: 'Development' }),
+    'dev/DevHome_2100.html': renderPage({
+      space: 'Development',
+      title: 'Dev Home',
+      breadcrumbs: [['Development', 'index.html']],
+      body: '<h2 id="DevHome-Build">Build</h2><p>See <a href="/display/OPS/Runbook">the runbook</a>.</p>'
+    }),
+    'dev/Api_2200.html': renderPage({
+      space: 'Development',
+      title: 'Api',
+      breadcrumbs: [['Development', 'index.html'], ['Dev Home', 'DevHome_2100.html']],
+      body: '<p>API.</p><p><img src="images/icons/dev.png"></p>'
+    }),
+    'dev/images/icons/dev.png': 'dev'
+  };
+}
+
+function convertSpaces(workspace, options = {}) {
+  return workspace.convert({ titlePrefixToRemove: null, ...options }, {
+    input: undefined,
+    spaces: [
+      { key: 'OPS', htmlDir: path.join(workspace.htmlDir, 'ops'), titlePrefix: 'Operations : ' },
+      { key: 'DEV', input: path.join(workspace.htmlDir, 'dev'), titlePrefix: 'Development : ' }
+    ]
+  });
+}
+
+test('each space is written under its own folder with its own media', async (t) => {
+  const workspace = await createWorkspace(t, createSpaces());
+  const result = await convertSpaces(workspace, { confluenceBaseUrl: 'https://wiki.example.com' });
+
+  assert.deepEqual(result.pages.map(page => [page.source, path.relative(workspace.notesDir, page.output).split(path.sep).join('/')]), [
+    ['OPS/Runbook_1100.html', 'OPS/Operations/Runbook.md'],
+    ['OPS/index.html', 'OPS/Space.md'],
+    ['DEV/Api_2200.html', 'DEV/Development/Dev-Home/Api.md'],
+    ['DEV/DevHome_2100.html', 'DEV/Development/Dev-Home.md'],
+    ['DEV/index.html', 'DEV/Space.md']
+  ]);
+  assert.match(await workspace.readNote('DEV/Development/Dev-Home/Api.md'), /^!\[\]\(\.\.\/\.\.\/_media\/images\/icons\/dev\.png\)$/m);
+  assert.equal(await workspace.read('notes/DEV/_media/images/icons/dev.png'), 'dev');
+  assert.equal(await workspace.read('notes/OPS/_media/images/icons/ops.png'), 'ops');
+  assert.deepEqual(Object.keys(JSON.parse(await workspace.read('conversion-manifest.json')).pages).sort(), [
+    'DEV/Api_2200.html',
+    'DEV/DevHome_2100.html',
+    'DEV/index.html',
+    'OPS/Runbook_1100.html',
+    'OPS/index.html'
+  ]);
+});
+
+test('links between converted spaces resolve through the shared page index', async (t) => {
+  const workspace = await createWorkspace(t, createSpaces());
+  const result = await convertSpaces(workspace, { confluenceBaseUrl: 'https://wiki.example.com' });
+
+  assert.match(
+    stripFrontMatter(await workspace.readNote('OPS/Operations/Runbook.md')),
+    /^\[build\]\(\.\.\/\.\.\/DEV\/Development\/Dev-Home\.md#Build\) \[api\]\(\.\.\/\.\.\/DEV\/Development\/Dev-Home\/Api\.md\) \[by file\]\(\.\.\/\.\.\/DEV\/Development\/Dev-Home\.md\) /m
+  );
+  assert.match(await workspace.readNote('DEV/Development/Dev-Home.md'), /^See \[the runbook\]\(\.\.\/\.\.\/OPS\/Operations\/Runbook\.md\)\.$/m);
+  assert.deepEqual(result.report.unresolvedLinks, [
+    { page: 'OPS/Runbook_1100.html', target: 'https://wiki.example.com/pages/viewpage.action?pageId=3100', kind: 'confluence' },
+    { page: 'OPS/Runbook_1100.html', target: '/display/HR/Holidays', kind: 'confluence' }
+  ]);
+});
+
+test('links into spaces that were not converted point back at the wiki', async (t) => {
+  const workspace = await createWorkspace(t, createSpaces());
+  await convertSpaces(workspace, { confluenceBaseUrl: 'https://wiki.example.com/' });
+
+  assert.match(
+    await workspace.readNote('OPS/Operations/Runbook.md'),
+    / \[hr\]\(https:\/\/wiki\.example\.com\/display\/HR\/Holidays\) \[leave\]\(https:\/\/wiki\.example\.com\/pages\/viewpage\.action\?pageId=3100\)$/m
+  );
+});
+
+test('wikilinks across spaces use the note name', async (t) => {
+  const workspace = await createWorkspace(t, createSpaces());
+  await convertSpaces(workspace, { linkStyle: 'wikilink' });
+
+  assert.match(await workspace.readNote('OPS/Operations/Runbook.md'), /^\[\[Dev-Home#Build\|build\]\] /m);
+  assert.match(await workspace.readNote('DEV/Development/Dev-Home.md'), /^See \[\[Runbook\|the runbook\]\]\.$/m);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertPage } = require('../lib');
+
+function codePanel(code, { title = '', params = 'brush: bash; gutter: false; theme: Confluence' } = {}) {
+  const header = title ? `<div class="codeHeader panelHeader pdl"><b>${title}</b></div>` : '';
+  return `<div class="code panel pdl">${header}<div class="codeContent panelContent pdl">` +
+    `<pre class="syntaxhighlighter-pre" data-syntaxhighlighter-params="${params}" data-theme="Confluence">${code}</pre>` +
+    '</div></div>';
+}
+
+test('code macros become fenced blocks with the brush language', () => {
+  const markdown = convertPage(codePanel('echo &quot;hi&quot; &amp;&amp; ls &lt;dir&gt;\n  indented', {
+    params: 'brush: js; gutter: false; theme: Confluence'
+  }));
+
+  assert.equal(markdown, '```javascript\necho "hi" && ls <dir>\n  indented\n```\n');
+});
+
+test('code macro titles and first lines become a caption', () => {
+  assert.match(
+    convertPage(codePanel('ls', { title: 'deploy.sh' })),
+    /^\*\*deploy\.sh\*\*\n\n```bash\nls\n```/
+  );
+  assert.match(
+    convertPage(codePanel('ls', { title: 'deploy.sh', params: 'brush: bash; gutter: true; first-line: 10' })),
+    /^\*\*deploy\.sh\*\* \(from line 10\)\n\n```bash\n/
+  );
+  assert.match(
+    convertPage(codePanel('ls', { params: 'brush: bash; gutter: true; first-line: 10' })),
+    /^_From line 10_\n\n```bash\n/
+  );
+});
+
+test('plain brushes and noformat macros have no language', () => {
+  assert.equal(convertPage(codePanel('x', { params: 'brush: text; gutter: false' })), '```\nx\n```\n');
+  assert.equal(
+    convertPage('<div class="preformatted panel"><div class="preformattedContent panelContent"><pre>plain *text* here</pre></div></div>'),
+    '```\nplain *text* here\n```\n'
+  );
+});
+
+test('code containing fences gets a longer fence', () => {
+  const markdown = convertPage(codePanel('before\n```\ninner\n```\nafter'));
+
+  assert.equal(markdown, '````bash\nbefore\n```\ninner\n```\nafter\n````\n');
+});
+
+const TASK_LIST = '<ul class="inline-task-list" data-inline-tasks-content-id="1">' +
+  '<li class="checked" data-inline-task-id="1">Ship it <a class="confluence-userlink user-mention" href="/display/~ada">Ada Lovelace</a> ' +
+  '<time datetime="2024-05-01" class="date-past">01 May 2024</time></li>' +
+  '<li data-inline-task-id="2">Write docs<ul class="inline-task-list"><li data-inline-task-id="3">Nested task</li></ul></li>' +
+  '</ul>';
+const LOZENGES = '<p>State: <span class="status-macro aui-lozenge aui-lozenge-success">Done</span> ' +
+  '<span class="status-macro aui-lozenge">Idle</span> ' +
+  '<span class="status-macro aui-lozenge aui-lozenge-error">A &lt; B</span></p>';
+
+test('task lists become checkboxes with assignees and due dates', () => {
+  assert.equal(
+    convertPage(TASK_LIST),
+    '- [x] Ship it @Ada Lovelace 📅 2024-05-01\n- [ ] Write docs\n    - [ ] Nested task\n'
+  );
+});
+
+test('status lozenges follow statusStyle', () => {
+  const expected = {
+    code: 'State: `Done` `Idle` `A < B`\n',
+    emoji: 'State: 🟢 Done ⚪ Idle 🔴 A < B\n',
+    html: 'State: <span class="status status-green">Done</span> <span class="status status-grey">Idle</span> <span class="status status-red">A &lt; B</span>\n',
+    text: 'State: Done Idle A < B\n'
+  };
+
+  for (const [statusStyle, markdown] of Object.entries(expected)) {
+    assert.equal(convertPage(LOZENGES, { statusStyle }), markdown, statusStyle);
+  }
+});
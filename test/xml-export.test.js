@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  createWorkspace,
+  createZip,
+  stripFrontMatter
+} = require('./helpers');
+
+function property(name, value) {
+  return `<property name="${name}"><![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]></property>`;
+}
+
+function reference(name, type, id) {
+  return `<property name="${name}" class="${type}" package="com.atlassian.confluence"><id name="id">${id}</id></property>`;
+}
+
+function renderObject(type, id, properties) {
+  return `<object class="${type}" package="com.atlassian.confluence"><id name="id">${id}</id>${properties.join('')}</object>`;
+}
+
+function renderEntities({ pages, attachments = [], comments = [], labels = [] }) {
+  const objects = [
+    renderObject('Space', 1, [property('name', 'Demo Space'), property('key', 'DS'), reference('homePage', 'Page', 100)]),
+    '<object class="ConfluenceUserImpl" package="com.atlassian.confluence"><id name="key"><![CDATA[u1]]></id>' +
+      `${property('name', 'Ada Lovelace')}</object>`
+  ];
+  for (const page of pages) {
+    objects.push(renderObject('Page', page.contentId || page.id, [
+      property('title', page.title),
+      reference('space', 'Space', 1),
+      property('version', page.version || 1),
+      property('contentStatus', page.status || 'current'),
+      property('position', page.position || 0),
+      property('creationDate', '2020-01-02 10:00:00.000'),
+      property('lastModificationDate', '2021-03-04 10:00:00.000'),
+      '<property name="creator" class="ConfluenceUserImpl"><id name="key"><![CDATA[u1]]></id></property>',
+      ...(page.parent ? [reference('parent', 'Page', page.parent)] : []),
+      ...(page.originalVersion ? [reference('originalVersion', 'Page', page.originalVersion)] : [])
+    ]));
+    objects.push(renderObject('BodyContent', `9${page.contentId || page.id}`, [
+      property('body', page.body || ''),
+      reference('content', 'Page', page.contentId || page.id)
+    ]));
+  }
+  for (const attachment of attachments) {
+    objects.push(renderObject('Attachment', attachment.id, [
+      property('title', attachment.title),
+      property('contentType', attachment.mediaType),
+      reference('containerContent', 'Page', attachment.page)
+    ]));
+  }
+  for (const comment of comments) {
+    objects.push(renderObject('Comment', comment.id, [
+      reference('containerContent', 'Page', comment.page),
+      '<property name="creator" class="ConfluenceUserImpl"><id name="key"><![CDATA[u1]]></id></property>',
+      property('creationDate', '2020-01-05 14:30:00.000'),
+      ...(comment.parent ? [reference('parent', 'Comment', comment.parent)] : [])
+    ]));
+    objects.push(renderObject('BodyContent', `8${comment.id}`, [property('body', comment.body), reference('content', 'Comment', comment.id)]));
+  }
+  labels.forEach(([page, name], index) => {
+    objects.push(renderObject('Label', 500 + index, [property('name', name), property('namespace', 'global')]));
+    objects.push(renderObject('Labelling', 600 + index, [reference('content', 'Page', page), reference('label', 'Label', 500 + index)]));
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<hibernate-generic datetime="2024-01-01 00:00:00">\n${objects.join('\n')}\n</hibernate-generic>\n`;
+}
+
+const HOME_BODY = '<h2>Getting Started</h2><p>Intro text.</p>' +
+  '<p><ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">Deep Dive</ac:parameter></ac:structured-macro>Anchored.</p>' +
+  '<p><ac:link ac:anchor="Deep Dive"><ac:plain-text-link-body><![CDATA[same page]]></ac:plain-text-link-body></ac:link> ' +
+  '<ac:link ac:anchor="Set Up Steps"><ri:page ri:content-title="Child Page"/><ac:plain-text-link-body><![CDATA[child steps]]></ac:plain-text-link-body></ac:link> ' +
+  '<ac:link><ri:attachment ri:filename="spec.pdf"/></ac:link></p>' +
+  '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter><ac:plain-text-body><![CDATA[const a = 1 < 2;]]></ac:plain-text-body></ac:structured-macro>' +
+  '<ac:structured-macro ac:name="info"><ac:rich-text-body><p>Heads up.</p></ac:rich-text-body></ac:structured-macro>';
+const CHILD_BODY = '<h2>Set Up Steps</h2><p>Back to <ac:link><ri:page ri:content-title="Home"/></ac:link>.</p>';
+
+function createXmlExport() {
+  return {
+    'entities.xml': renderEntities({
+      pages: [
+        { id: 100, title: 'Home', body: HOME_BODY },
+        { id: 200, title: 'Child Page', parent: 100, body: CHILD_BODY },
+        { id: 201, contentId: 250, title: 'Child Page', parent: 100, version: 0, originalVersion: 200, body: '<p>Old version.</p>' },
+        { id: 300, title: 'Draft', status: 'draft', body: '<p>Draft.</p>' }
+      ],
+      attachments: [{ id: 700, title: 'spec.pdf', mediaType: 'application/pdf', page: 100 }],
+      comments: [
+        { id: 800, page: 100, body: '<p>Nice page.</p>' },
+        { id: 801, page: 100, parent: 800, body: '<p>Thanks.</p>' }
+      ],
+      labels: [[100, 'runbook']]
+    }),
+    'attachments/100/700/1': 'old spec',
+    'attachments/100/700/2': 'new spec'
+  };
+}
+
+async function writeXmlExport(t, files) {
+  const workspace = await createWorkspace(t, {});
+  const zipPath = path.join(workspace.root, 'export.zip');
+  await fs.writeFile(zipPath, createZip(Object.fromEntries(Object.entries(files).map(([name, content]) => [`xml-export/${name}`, content]))));
+  return { workspace, zipPath };
+}
+
+test('XML exports convert the current version of each page into the usual layout', async (t) => {
+  const { workspace, zipPath } = await writeXmlExport(t, createXmlExport());
+  const result = await workspace.convert({ comments: 'section' }, { input: zipPath });
+
+  assert.deepEqual(result.pages.map(page => page.source).sort(), ['Child-Page_200.html', 'Home_100.html', 'index.html']);
+  const home = await workspace.readNote('Demo-Space/Home.md');
+  assert.match(home, /^page_id: '100'$/m);
+  assert.match(home, /^created_by: Ada Lovelace$/m);
+  assert.match(home, /^labels:\n {2}- runbook$/m);
+  const body = stripFrontMatter(home);
+  assert.match(body, /^```javascript\nconst a = 1 < 2;\n```$/m);
+  assert.match(body, /^> \[!info\]\n> Heads up\.$/m);
+  assert.match(body, /^> > \*\*Ada Lovelace\*\* · 2020-01-05 14:30\n> >\n> > Thanks\.$/m);
+  assert.equal(await workspace.read('notes/Demo-Space/_media/attachments/100/700.pdf'), 'new spec');
+  assert.match(stripFrontMatter(await workspace.readNote('Demo-Space/Home/Child-Page.md')), /^Back to \[Home\]\(\.\.\/Home\.md\)\.$/m);
+  assert.equal(await workspace.exists('notes/Demo-Space/Draft.md'), false);
+});
+
+test('anchor links in XML exports point at the heading and anchor ids', async (t) => {
+  const { workspace, zipPath } = await writeXmlExport(t, createXmlExport());
+  await workspace.convert({}, { input: zipPath });
+
+  const home = stripFrontMatter(await workspace.readNote('Demo-Space/Home.md'));
+  assert.match(home, /\[same page\]\(#\^Home-DeepDive\)/);
+  assert.match(home, /^Anchored\. \^Home-DeepDive$/m);
+  assert.match(home, /\[child steps\]\(\.\/Home\/Child-Page\.md#Set%20Up%20Steps\)/);
+});